@@ -5,6 +5,7 @@ class BridgeDashboard {
         this.sensor3 = null;
         this.sensor1 = null; // Wave data
         this.sensor2 = null; // Vessel data
+        this.sensorHub = null; // All three at the GPS time
         this.powerSpectralDensity = null; // For MSDV data
         this.isLiveDemo = false;
         this.streamInterval = null;
@@ -16,8 +17,13 @@ class BridgeDashboard {
             wave: null,
             vessel: null,
             msdv: null,
-            position: null
+            msi: null,
+            comfort: null,
+            position: null,
+            gaps: []
         };
+        this.optimiser = new ComfortOptimiser();
+        this.lastAnalysisKey = null;  // Inputs of the comfort figures on display
     }
 
     // Initialize the bridge dashboard
@@ -29,9 +35,9 @@ class BridgeDashboard {
         this.sensor1 = new Sensor1(); // Wave data
         this.sensor2 = new Sensor2(); // Vessel data
         
-        // Load all data sources
+        // Load all data sources, GPS first for wave fields sampled along the track
         const gpsLoaded = await this.sensor3.loadData();
-        const waveLoaded = await this.sensor1.loadData();
+        const waveLoaded = await this.sensor1.loadData(this.sensor3.data);
         const vesselLoaded = await this.sensor2.loadData();
         
         if (!gpsLoaded) {
@@ -46,14 +52,57 @@ class BridgeDashboard {
         if (!vesselLoaded) {
             console.warn('Vessel data not available');
         }
+
+        this.sensorHub = new SensorHub({ wave: this.sensor1, vessel: this.sensor2, gps: this.sensor3 });
         
         // Access PSD system for MSDV data
         this.powerSpectralDensity = window.powerSpectralDensity;
+
+        // Show and follow the active vessel profile
+        this.updateVesselProfileDisplay();
+        this.initOptimiserControls();
+        window.vesselProfiles.addEventListener('profileChanged', () => {
+            this.updateVesselProfileDisplay();
+            this.updateOptimiserPositions();
+            this.optimiser.invalidate();
+            if (this.currentConditions.wave) {
+                this.updateMSDVAnalysis();
+            }
+        });
+        window.dataSources.addEventListener('sourceChanged', ({ detail }) => {
+            this.reloadSource(detail.source);
+        });
         
         console.log('Enhanced Bridge Dashboard initialized successfully');
         return true;
     }
 
+    // Read a sensor again after its data source changed, stopping a running demo
+    async reloadSource(source) {
+        const sensor = { wave: this.sensor1, vessel: this.sensor2, gps: this.sensor3 }[source];
+        if (!sensor) return;
+        if (this.isLiveDemo) {
+            this.stopLiveDemo();
+        }
+
+        if (!(await (source === 'wave' ? sensor.loadData(this.sensor3.data) : sensor.loadData()))) {
+            console.warn(`Data of ${window.dataSources.getFileName(source)} not available`);
+        }
+        // A wave field is sampled along the track, so follows a new one
+        if (source === 'gps' && await window.dataSources.readsField('wave')) {
+            await this.sensor1.loadData(this.sensor3.data);
+        }
+        this.optimiser.invalidate();
+
+        // Start the map at the new track
+        if (source === 'gps' && this.map && this.sensor3.data.length > 0) {
+            const firstReading = this.sensor3.data[0];
+            this.map.setView([firstReading.latitude, firstReading.longitude], 13);
+            this.startMarker.setLatLng([firstReading.latitude, firstReading.longitude]);
+            this.sensor3.reset();
+        }
+    }
+
     // Initialize the map
     initMap() {
         // Get the first GPS coordinate for initial map center
@@ -266,18 +315,17 @@ class BridgeDashboard {
         this.routePolyline.setLatLngs(this.routeCoordinates);
     }
 
-    // Update maritime conditions from all sensors
+    // Update maritime conditions from all sensors at the time of the GPS fix
     updateMaritimeConditions() {
-        // Get current wave data
-        if (this.sensor1) {
-            this.currentConditions.wave = this.sensor1.getNextReading();
+        const position = this.currentConditions.position;
+        if (this.sensorHub && position) {
+            const readings = this.sensorHub.getReadingsAt(position.timestamp);
+            this.currentConditions.wave = readings.wave;
+            this.currentConditions.vessel = readings.vessel;
+            this.currentConditions.gaps = readings.gaps;
             this.updateWaveDisplay();
-        }
-        
-        // Get current vessel data
-        if (this.sensor2) {
-            this.currentConditions.vessel = this.sensor2.getNextReading();
             this.updateVesselDisplay();
+            this.updateDataAlignmentDisplay();
         }
         
         // Calculate MSDV if PSD system is available
@@ -286,6 +334,14 @@ class BridgeDashboard {
         }
     }
 
+    // Show the name of the vessel the analysis is for
+    updateVesselProfileDisplay() {
+        const nameEl = document.getElementById('bridgeVesselName');
+        if (nameEl) {
+            nameEl.textContent = window.vesselProfiles.active.name;
+        }
+    }
+
     // Update wave conditions display
     updateWaveDisplay() {
         const wave = this.currentConditions.wave;
@@ -305,6 +361,16 @@ class BridgeDashboard {
         document.getElementById('vesselHeading').textContent = `${vessel.heading.toFixed(0)}°`;
     }
 
+    // Show whether every sensor has data around the current time
+    updateDataAlignmentDisplay() {
+        const element = document.getElementById('dataAlignment');
+        if (!element) return;
+
+        const gaps = this.currentConditions.gaps;
+        element.textContent = gaps.length === 0 ? 'Synchronised' : `Gap: ${gaps.join(', ')}`;
+        element.style.color = gaps.length === 0 ? '' : '#ff8c00';
+    }
+
     // Update ship position display
     updateShipPositionDisplay() {
         const position = this.currentConditions.position;
@@ -316,22 +382,90 @@ class BridgeDashboard {
         document.getElementById('routePoints').textContent = this.routeCoordinates.length.toString();
     }
 
-    // Update MSDV analysis and comfort zones
-    updateMSDVAnalysis() {
+    // MSDV levels (m/s^1.5, over the PSD exposure time) for the comfort panel; with
+    // MSI = MSDV/3 they correspond to 5% and 10% of people vomiting
+    static get MSDV_THRESHOLDS() {
+        return { caution: 15, warning: 30 };
+    }
+
+    // Name of the ship position closest to midships in the active vessel profile
+    getMidshipsPosition() {
+        const distance = position => Math.hypot(position.x, position.y);
+        return this.powerSpectralDensity.shipPositions
+            .reduce((best, position) => distance(position) < distance(best) ? position : best).name;
+    }
+
+    // Everything the comfort figures depend on except time: sea state, speed and heading,
+    // vessel profile, spectrum settings and exposure time
+    getAnalysisKey(wave, vessel) {
+        const { timestamp, ...seaState } = wave;
+        return JSON.stringify({
+            seaState,
+            vessel: { speed: vessel.speed, heading: vessel.heading },
+            profile: window.vesselProfiles.active.id,
+            spectrum: window.jonswapSpectrum.options,
+            exposureTime: this.powerSpectralDensity.T_exp
+        });
+    }
+
+    // Update MSDV analysis and comfort zones from the spectral response (RAO × spectrum × Wf)
+    async updateMSDVAnalysis() {
         const wave = this.currentConditions.wave;
+        const vessel = this.currentConditions.vessel;
         if (!wave || !this.powerSpectralDensity) return;
+
+        // The response depends on speed and heading, none is shown rather than one made up
+        if (!vessel) {
+            Object.assign(this.currentConditions, { msdv: null, msi: null, comfort: null });
+            this.lastAnalysisKey = null;
+            ['msdvMidships', 'comfortMidships', 'healthMidships', 'raoExtrapolation'].forEach(id => {
+                document.getElementById(id).textContent = 'No vessel data';
+            });
+            return;
+        }
+
+        // A GPS fix with the same sea and vessel state leaves the figures as they are
+        const key = this.getAnalysisKey(wave, vessel);
+        if (key === this.lastAnalysisKey) {
+            this.updateOptimisation();
+            return;
+        }
         
         try {
-            // Calculate current MSDV at midships (simplified estimation)
-            // In a real system, this would use the full PSD calculation
-            const estimatedMSDV = this.estimateMSDV(wave.waveHeight, wave.wavePeriod);
-            this.currentConditions.msdv = estimatedMSDV;
+            // Same spectrum settings and RAOs as the Research view, for the Bridge's own readings
+            const waveSpectrum = window.jonswapSpectrum.calculateSeaStateSpectrum(wave);
+            await window.raoStore.whenReady();
+            const response = this.powerSpectralDensity.computeResponse(waveSpectrum, vessel.speed, vessel.heading);
+
+            const midships = this.getMidshipsPosition();
+            const msdv = response.msdvValues[midships];
+            this.currentConditions.msdv = msdv;
+            this.currentConditions.msi = response.msiValues.iso[midships];
             
             // Update display
-            document.getElementById('msdvMidships').textContent = `${estimatedMSDV.toFixed(2)} m/s²`;
+            document.getElementById('msdvMidships').textContent =
+                `${msdv.toFixed(1)} m/s¹·⁵ (MSI ${this.currentConditions.msi.toFixed(0)}%)`;
+
+            // ISO 2631-1 comfort class and health guidance over the same exposure time
+            const comfort = response.comfort[midships];
+            this.currentConditions.comfort = comfort;
+            document.getElementById('comfortMidships').textContent =
+                `${comfort.band} (${comfort.rms.toFixed(2)} m/s²)`;
+            document.getElementById('healthMidships').textContent =
+                ComfortAssessment.HEALTH_ZONE_NAMES[comfort.health];
+
+            // RAOs beyond the computed speeds or headings hold their end values, say so
+            const extrapolation = document.getElementById('raoExtrapolation');
+            extrapolation.textContent = response.extrapolation || 'Within range';
+            extrapolation.style.color = response.extrapolation ? '#ff8c00' : '';
             
             // Update comfort recommendation
-            this.updateComfortRecommendation(estimatedMSDV);
+            this.updateComfortRecommendation(msdv);
+            this.updateRecommendations();
+
+            // Search for a more comfortable speed and heading when conditions have changed
+            this.updateOptimisation();
+            this.lastAnalysisKey = key;
             
         } catch (error) {
             console.warn('Error calculating MSDV:', error);
@@ -339,27 +473,18 @@ class BridgeDashboard {
         }
     }
 
-    // Simplified MSDV estimation based on wave conditions
-    estimateMSDV(waveHeight, wavePeriod) {
-        // Simplified estimation - in reality this would use full spectral analysis
-        // MSDV typically scales with wave height and frequency content
-        const frequency = 2 * Math.PI / wavePeriod;
-        const baseAcceleration = waveHeight * Math.pow(frequency, 2);
-        
-        // Apply empirical scaling factor for typical vessel response
-        return baseAcceleration * 0.1;
-    }
-
     // Update comfort recommendation based on MSDV
     updateComfortRecommendation(msdv) {
         const recommendationEl = document.getElementById('comfortRecommendation');
         const alertEl = document.getElementById('alertStatus');
         
-        if (msdv < 0.5) {
+        const thresholds = BridgeDashboard.MSDV_THRESHOLDS;
+        
+        if (msdv < thresholds.caution) {
             recommendationEl.textContent = 'Comfortable conditions for crew operations.';
             alertEl.textContent = 'Normal Operations';
             alertEl.className = 'alert-normal';
-        } else if (msdv < 1.0) {
+        } else if (msdv < thresholds.warning) {
             recommendationEl.textContent = 'Elevated motion levels. Monitor crew comfort.';
             alertEl.textContent = 'Caution - Monitor Comfort';
             alertEl.className = 'alert-caution';
@@ -370,27 +495,133 @@ class BridgeDashboard {
         }
     }
 
+    // Constraint inputs and positions of the comfort optimiser
+    initOptimiserControls() {
+        const inputs = {
+            plannedCourse: 'optPlannedCourse',
+            maxCourseDeviation: 'optMaxDeviation',
+            minSpeed: 'optMinSpeed',
+            maxSpeed: 'optMaxSpeed',
+            distance: 'optDistance',
+            earliestArrival: 'optEarliestArrival',
+            latestArrival: 'optLatestArrival'
+        };
+        const defaults = ComfortOptimiser.DEFAULT_CONSTRAINTS;
+
+        const applyConstraints = () => {
+            const constraints = {};
+            Object.entries(inputs).forEach(([key, id]) => {
+                const value = parseFloat(document.getElementById(id).value);
+                constraints[key] = Number.isFinite(value) ? value : defaults[key];
+            });
+            this.optimiser.setConstraints(constraints);
+            this.updateRecommendations();
+            this.updateOptimisation();
+        };
+
+        Object.entries(inputs).forEach(([key, id]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            if (defaults[key] !== null) input.value = defaults[key];
+            input.addEventListener('change', applyConstraints);
+        });
+
+        const positionSelect = document.getElementById('optPositions');
+        if (positionSelect) {
+            positionSelect.addEventListener('change', () => {
+                this.updateRecommendations();
+                this.updateOptimisation();
+            });
+        }
+        this.updateOptimiserPositions();
+    }
+
+    // Positions of the active vessel to choose from, midships selected
+    updateOptimiserPositions() {
+        const select = document.getElementById('optPositions');
+        if (!select) return;
+
+        const midships = this.getMidshipsPosition();
+        select.innerHTML = '';
+        this.powerSpectralDensity.shipPositions.forEach(position => {
+            const option = document.createElement('option');
+            option.value = position.name;
+            option.textContent = position.name;
+            option.selected = position.name === midships;
+            select.appendChild(option);
+        });
+    }
+
+    // Positions the optimiser keeps comfortable, midships if none are selected
+    getOptimiserPositions() {
+        const select = document.getElementById('optPositions');
+        const selected = select ? [...select.selectedOptions].map(option => option.value) : [];
+        return selected.length > 0 ? selected : [this.getMidshipsPosition()];
+    }
+
+    // Run the comfort optimiser unless its last result still applies or it is busy
+    async updateOptimisation() {
+        const wave = this.currentConditions.wave;
+        const vessel = this.currentConditions.vessel;
+        if (!wave || !vessel || this.optimiser.running) return;
+
+        const positions = this.getOptimiserPositions();
+        if (this.optimiser.isCurrent(wave, vessel, positions)) return;
+
+        let result = null;
+        try {
+            result = await this.optimiser.optimise(wave, vessel, positions);
+        } catch (error) {
+            console.warn('Error optimising speed and heading:', error);
+        }
+        this.updateRecommendations();
+
+        // The search was superseded by new constraints, profile or data, start over with those
+        if (!result && !this.optimiser.error) {
+            this.updateOptimisation();
+        }
+    }
+
+    // Expected change in MSI going from one option to another
+    formatImprovement(from, to) {
+        const change = to.msi - from.msi;
+        if (change > -0.05) return 'no improvement';
+        return `MSI ${from.msi.toFixed(1)}% → ${to.msi.toFixed(1)}% (${change.toFixed(1)} pts)`;
+    }
+
     // Update navigation recommendations
     updateRecommendations() {
         const wave = this.currentConditions.wave;
         const vessel = this.currentConditions.vessel;
-        const msdv = this.currentConditions.msdv;
-        
-        // Calculate optimal speed recommendation
-        let optimalSpeed = 'Maintain current';
-        if (msdv && msdv > 0.8 && vessel) {
-            const reducedSpeed = Math.max(vessel.speed * 0.8, 8); // Reduce speed but not below 8 knots
-            optimalSpeed = `Reduce to ${reducedSpeed.toFixed(1)} kts`;
-        }
-        
-        // Calculate heading recommendation
-        let recommendedHeading = 'Current heading OK';
-        if (wave && vessel) {
-            const relativeAngle = Math.abs(vessel.heading - wave.waveDirection);
-            if (relativeAngle < 30 || relativeAngle > 330) {
-                // Head seas - potentially uncomfortable
-                recommendedHeading = `Consider heading ±30° from ${wave.waveDirection.toFixed(0)}°`;
-            }
+        const result = this.optimiser.result;
+
+        // Speed and heading from the optimiser, the improvement split into the speed change
+        // on the planned course and the course change at that speed
+        let optimalSpeed = 'Optimising...';
+        let recommendedHeading = 'Optimising...';
+        let speedImprovement = '';
+        let headingImprovement = '';
+        if (result && !result.best) {
+            optimalSpeed = 'No option within constraints';
+            recommendedHeading = 'No option within constraints';
+        } else if (result) {
+            const { current, best, bestOnCourse, plannedCourse } = result;
+            const speedChange = best.speed - current.speed;
+            optimalSpeed = Math.abs(speedChange) < 0.05
+                ? `Maintain ${best.speed.toFixed(1)} kts`
+                : `${speedChange < 0 ? 'Reduce' : 'Increase'} to ${best.speed.toFixed(1)} kts`;
+            recommendedHeading = best.deviation === 0
+                ? `${best.heading.toFixed(0)}° (planned course)`
+                : `${best.heading.toFixed(0)}° (${best.deviation > 0 ? '+' : ''}${best.deviation}° from ${plannedCourse.toFixed(0)}°)`;
+            speedImprovement = this.formatImprovement(current, bestOnCourse);
+            headingImprovement = this.formatImprovement(bestOnCourse, best);
+        } else if (this.optimiser.error) {
+            optimalSpeed = 'Optimisation failed';
+            recommendedHeading = 'Optimisation failed';
+            speedImprovement = this.optimiser.error.message;
+        } else if (!wave || !vessel) {
+            optimalSpeed = 'Maintain current';
+            recommendedHeading = 'Current heading OK';
         }
         
         // Generate forecast
@@ -408,6 +639,8 @@ class BridgeDashboard {
         // Update displays
         document.getElementById('optimalSpeed').textContent = optimalSpeed;
         document.getElementById('recommendedHeading').textContent = recommendedHeading;
+        document.getElementById('optimalSpeedImprovement').textContent = speedImprovement;
+        document.getElementById('recommendedHeadingImprovement').textContent = headingImprovement;
         document.getElementById('forecast').textContent = forecast;
     }
 
@@ -0,0 +1,108 @@
+// ComfortAssessment.js - ISO 2631-1 comfort classes and health guidance for Wk-weighted vertical vibration
+class ComfortAssessment {
+    // Comfort reactions for public transport (ISO 2631-1 C.2.3). The standard's ranges
+    // overlap (0.315-0.63, 0.5-1, 0.8-1.6, 1.25-2.5, above 2 m/s²), each class here ends
+    // where the next one's range begins.
+    static get COMFORT_BANDS() {
+        return [
+            { max: 0.315, label: 'Not uncomfortable' },
+            { max: 0.5, label: 'A little uncomfortable' },
+            { max: 0.8, label: 'Fairly uncomfortable' },
+            { max: 1.25, label: 'Uncomfortable' },
+            { max: 2.0, label: 'Very uncomfortable' },
+            { max: Infinity, label: 'Extremely uncomfortable' }
+        ];
+    }
+
+    // Health guidance caution zone (ISO 2631-1 Annex B): RMS limits at 8 h scaled with
+    // T^-1/2 (Eq. B.1), and VDV limits (Eq. B.2)
+    static get HEALTH_GUIDANCE() {
+        return {
+            referenceTime: 8 * 3600,
+            rmsLower: 0.45,   // m/s² at 8 h
+            rmsUpper: 0.9,    // m/s² at 8 h
+            vdvLower: 8.5,    // m/s^1.75
+            vdvUpper: 17
+        };
+    }
+
+    static get HEALTH_ZONE_NAMES() {
+        return {
+            below: 'Below caution zone',
+            caution: 'Caution zone',
+            above: 'Health risk likely',
+            unknown: 'n/a'
+        };
+    }
+
+    /**
+     * Comfort class of a Wk-weighted RMS acceleration
+     * @param {number} rms - Weighted RMS acceleration (m/s²)
+     * @returns {string} Comfort class, 'n/a' when the RMS could not be computed
+     */
+    static comfortBand(rms) {
+        if (!Number.isFinite(rms)) return 'n/a';
+        return ComfortAssessment.COMFORT_BANDS.find(band => rms < band.max).label;
+    }
+
+    /**
+     * Estimated vibration dose value eVDV = 1.4·a_w,rms·T^¼ (ISO 2631-1 6.3.3), valid for
+     * crest factors below 6 as with wave-induced motion
+     * @param {number} rms - Weighted RMS acceleration (m/s²)
+     * @param {number} exposureTime - Exposure time (s)
+     * @returns {number} eVDV (m/s^1.75)
+     */
+    static estimateVDV(rms, exposureTime) {
+        return 1.4 * rms * Math.pow(exposureTime, 0.25);
+    }
+
+    /**
+     * Health guidance zone for a daily exposure at a constant RMS level (Eq. B.1)
+     * @param {number} rms - Weighted RMS acceleration (m/s²)
+     * @param {number} exposureTime - Exposure time (s)
+     * @returns {string} 'below', 'caution', 'above' or 'unknown' when the RMS could not be computed
+     */
+    static healthZone(rms, exposureTime) {
+        if (!Number.isFinite(rms)) return 'unknown';
+        const guidance = ComfortAssessment.HEALTH_GUIDANCE;
+        const scale = Math.sqrt(guidance.referenceTime / exposureTime);
+        if (rms < guidance.rmsLower * scale) return 'below';
+        if (rms <= guidance.rmsUpper * scale) return 'caution';
+        return 'above';
+    }
+
+    /**
+     * Health guidance zone for an accumulated vibration dose value (Eq. B.2)
+     * @param {number} vdv - VDV (m/s^1.75)
+     * @returns {string} 'below', 'caution', 'above' or 'unknown' when the VDV could not be computed
+     */
+    static healthZoneVDV(vdv) {
+        if (!Number.isFinite(vdv)) return 'unknown';
+        const guidance = ComfortAssessment.HEALTH_GUIDANCE;
+        if (vdv < guidance.vdvLower) return 'below';
+        if (vdv <= guidance.vdvUpper) return 'caution';
+        return 'above';
+    }
+
+    /**
+     * Comfort and health assessment per ship position
+     * @param {Object} rmsValues - Wk-weighted RMS vertical acceleration (m/s²) per position
+     * @param {number} exposureTime - Exposure time (s)
+     * @returns {Object} { rms, band, vdv, health } per position
+     */
+    static assess(rmsValues, exposureTime) {
+        const assessment = {};
+        Object.keys(rmsValues).forEach(position => {
+            const rms = rmsValues[position];
+            assessment[position] = {
+                rms,
+                band: ComfortAssessment.comfortBand(rms),
+                vdv: ComfortAssessment.estimateVDV(rms, exposureTime),
+                health: ComfortAssessment.healthZone(rms, exposureTime)
+            };
+        });
+        return assessment;
+    }
+}
+
+window.ComfortAssessment = ComfortAssessment;
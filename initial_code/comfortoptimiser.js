@@ -0,0 +1,209 @@
+// ComfortOptimiser.js - Speed and heading that minimise motion sickness within voyage constraints
+class ComfortOptimiser {
+    /**
+     * plannedCourse - Course to keep to (degrees), null follows the current heading
+     * maxCourseDeviation - Largest deviation from the planned course (degrees)
+     * minSpeed, maxSpeed - Speed range (knots)
+     * distance - Distance to go along the planned course (nm), null without an ETA window
+     * earliestArrival, latestArrival - ETA window (hours from now), either may be null
+     * speedStep, headingStep - Candidate resolution (knots, degrees)
+     */
+    static get DEFAULT_CONSTRAINTS() {
+        return {
+            plannedCourse: null,
+            maxCourseDeviation: 30,
+            minSpeed: 6,
+            maxSpeed: 16,
+            distance: null,
+            earliestArrival: null,
+            latestArrival: null,
+            speedStep: 2,
+            headingStep: 10
+        };
+    }
+
+    constructor(constraints = {}) {
+        this.constraints = { ...ComfortOptimiser.DEFAULT_CONSTRAINTS, ...constraints };
+        this.result = null;
+        this.error = null;              // Why the last search failed, null if it did not
+        this.running = false;
+        this.generation = 0;            // Counts invalidations, a search started before one is discarded
+        this.seaStateInterval = 3600;   // Sea states less than this apart (s) share a result
+    }
+
+    // Drop the last result, and the one of a search still running, e.g. for another vessel profile
+    invalidate() {
+        this.generation++;
+        this.result = null;
+        this.error = null;
+    }
+
+    // Change some of the constraints, keeps the others and drops the last result
+    setConstraints(constraints) {
+        this.constraints = { ...this.constraints, ...constraints };
+        this.invalidate();
+        return this.constraints;
+    }
+
+    /**
+     * Speed and course deviation candidates: the speed range in speedStep plus the current
+     * speed, and the planned course ± maxCourseDeviation in headingStep. Candidates on or
+     * near the planned course come first so that ties keep to it.
+     * @param {number} currentSpeed - Current speed (knots)
+     * @returns {Array} { speed, deviation } candidates
+     */
+    getCandidates(currentSpeed) {
+        const { minSpeed, maxSpeed, speedStep, maxCourseDeviation, headingStep } = this.constraints;
+
+        const speeds = [];
+        for (let speed = maxSpeed; speed >= minSpeed - 1e-9; speed -= speedStep) {
+            speeds.push(Math.round(speed * 100) / 100);
+        }
+        if (currentSpeed >= minSpeed && currentSpeed <= maxSpeed && !speeds.includes(currentSpeed)) {
+            speeds.push(currentSpeed);
+            speeds.sort((a, b) => b - a);
+        }
+
+        const deviations = [0];
+        for (let deviation = headingStep; deviation <= maxCourseDeviation + 1e-9; deviation += headingStep) {
+            deviations.push(deviation, -deviation);
+        }
+
+        return deviations.flatMap(deviation => speeds.map(speed => ({ speed, deviation })));
+    }
+
+    /**
+     * True if a candidate arrives within the ETA window: the speed made good along the
+     * planned course, speed·cos(deviation), must cover the distance between the earliest
+     * and latest arrival
+     */
+    meetsArrivalWindow({ speed, deviation }) {
+        const { distance, earliestArrival, latestArrival } = this.constraints;
+        if (!(distance > 0)) return true;
+
+        const speedMadeGood = speed * Math.cos(deviation * Math.PI / 180);
+        if (!(speedMadeGood > 0)) return false;
+        const hours = distance / speedMadeGood;
+        if (earliestArrival !== null && hours < earliestArrival) return false;
+        if (latestArrival !== null && hours > latestArrival) return false;
+        return true;
+    }
+
+    /**
+     * Highest ISO 2631-1 MSI among the positions for one speed and heading
+     * @returns {Object} { speed, heading, msi, msiValues }
+     */
+    evaluate(spectrum, speed, heading, positions) {
+        const psd = window.powerSpectralDensity;
+        const response = psd.computeResponse(spectrum, speed, heading, psd.T_exp, positions);
+        const msiValues = response.msiValues.iso;
+        return {
+            speed,
+            heading,
+            msi: Math.max(...positions.map(position => msiValues[position.name])),
+            msiValues
+        };
+    }
+
+    /**
+     * Search the candidates for the lowest MSI at the chosen positions
+     * @param {SeaState} seaState - Current sea state
+     * @param {Object} vessel - Current { speed, heading }
+     * @param {Array} positionNames - Positions to keep comfortable, the worst one counts
+     * @param {Function} [onProgress] - Called with (done, total) while running
+     * @returns {Promise<Object|null>} { current, best, bestOnCourse, plannedCourse, candidates, feasible },
+     *                                 best being null when no candidate meets the ETA window and
+     *                                 bestOnCourse the best speed on the planned course; null if
+     *                                 invalidate() was called during the search
+     * @throws {Error} If the search fails, also kept in this.error
+     */
+    async optimise(seaState, vessel, positionNames, onProgress) {
+        const generation = this.generation;
+        this.error = null;
+        this.running = true;
+
+        try {
+            const positions = window.powerSpectralDensity.shipPositions
+                .filter(position => positionNames.includes(position.name));
+            if (positions.length === 0) {
+                throw new Error('No ship positions selected for the optimisation');
+            }
+
+            await window.raoStore.whenReady();
+
+            const spectrum = window.jonswapSpectrum.calculateSeaStateSpectrum(seaState);
+            const plannedCourse = Number.isFinite(this.constraints.plannedCourse)
+                ? this.constraints.plannedCourse
+                : vessel.heading;
+            const candidates = this.getCandidates(vessel.speed);
+
+            const current = this.evaluate(spectrum, vessel.speed, vessel.heading, positions);
+            const evaluated = [];
+            for (let i = 0; i < candidates.length; i++) {
+                const { speed, deviation } = candidates[i];
+                const heading = ((plannedCourse + deviation) % 360 + 360) % 360;
+                evaluated.push({
+                    ...this.evaluate(spectrum, speed, heading, positions),
+                    deviation,
+                    feasible: this.meetsArrivalWindow(candidates[i])
+                });
+
+                if (onProgress) onProgress(i + 1, candidates.length);
+                // Keep the page responsive during the search
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (generation !== this.generation) break;
+            }
+            // Constraints, vessel profile or data changed meanwhile, the result would be stale
+            if (generation !== this.generation) return null;
+
+            const lowest = options => options.reduce((best, option) =>
+                best === null || option.msi < best.msi - 1e-9 ? option : best, null);
+            const feasible = evaluated.filter(option => option.feasible);
+            const best = lowest(feasible);
+            const bestOnCourse = best
+                ? evaluated.find(option => option.deviation === 0 && option.speed === best.speed)
+                : null;
+
+            this.result = {
+                current,
+                best,
+                bestOnCourse,
+                plannedCourse,
+                candidates: evaluated,
+                feasible: feasible.length,
+                seaState,
+                vessel: { ...vessel },
+                positions: positionNames
+            };
+            return this.result;
+        } catch (error) {
+            if (generation === this.generation) this.error = error;
+            throw error;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Same sea state, or sea states interpolated to times within the ERA5 time step
+    isSameSeaState(a, b) {
+        if (a === b) return true;
+        if (!(a.timestamp instanceof Date) || !(b.timestamp instanceof Date)) return false;
+        return Math.abs(a.timestamp - b.timestamp) < this.seaStateInterval * 1000;
+    }
+
+    /**
+     * True if the last result still applies: same sea state and positions, and the vessel
+     * within half a candidate step of the state it was computed for
+     */
+    isCurrent(seaState, vessel, positionNames) {
+        const result = this.result;
+        if (!result || !this.isSameSeaState(result.seaState, seaState)) return false;
+        if (result.positions.join('|') !== positionNames.join('|')) return false;
+
+        const headingChange = Math.abs(((vessel.heading - result.vessel.heading) % 360 + 540) % 360 - 180);
+        return Math.abs(vessel.speed - result.vessel.speed) < this.constraints.speedStep / 2 &&
+               headingChange < this.constraints.headingStep / 2;
+    }
+}
+
+window.ComfortOptimiser = ComfortOptimiser;
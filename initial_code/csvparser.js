@@ -0,0 +1,354 @@
+// CSVParser.js - Shared CSV reading for all data sources: RFC 4180 quoting, explicit time
+// zones, unit conversion and a report of what was dropped and why
+
+// Intl formatters per IANA time zone, building one is slow
+const timeZoneFormatters = new Map();
+
+class CSVParser {
+    // Delimiters tried when none is given
+    static get DELIMITERS() {
+        return [',', ';', '\t'];
+    }
+
+    // Units a file may use per unit the sensors read, as factors to that unit
+    static get UNITS() {
+        return {
+            m: { m: 1, cm: 0.01, ft: 0.3048 },
+            s: { s: 1, ms: 0.001, min: 60 },
+            deg: { deg: 1, rad: 180 / Math.PI },
+            kn: { kn: 1, 'm/s': 3600 / 1852, 'km/h': 1000 / 1852 },
+            'm/s²': { 'm/s²': 1, g: 9.80665 }
+        };
+    }
+
+    // Other names a unit after a value may have
+    static get UNIT_ALIASES() {
+        return {
+            '°': 'deg', degrees: 'deg', kt: 'kn', kts: 'kn', knots: 'kn', mps: 'm/s', kmh: 'km/h', sec: 's',
+            'm/s2': 'm/s²', 'm/s^2': 'm/s²'
+        };
+    }
+
+    /**
+     * Split CSV text into rows (RFC 4180): fields in double quotes may hold delimiters, line
+     * breaks and "" for a quote; CRLF or LF line ends; unquoted fields are trimmed. Blank
+     * lines and comment lines are skipped.
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {string} [options.delimiter='auto'] - Field delimiter, 'auto' picks from DELIMITERS by the first line
+     * @param {string} [options.comment='//'] - Start of a comment line, null for none
+     * @returns {Array} Rows of string values
+     */
+    static parse(text, { delimiter = 'auto', comment = '//' } = {}) {
+        if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+        if (delimiter === 'auto') delimiter = CSVParser.detectDelimiter(text);
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;     // Inside quotes
+        let wasQuoted = false;  // The current field was quoted, keep it as is
+
+        const endField = () => {
+            row.push(wasQuoted ? field : field.trim());
+            field = '';
+            wasQuoted = false;
+        };
+        const endRow = () => {
+            endField();
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRow();
+            } else if (wasQuoted && (char === ' ' || char === '\t')) {
+                // Space between a closing quote and the delimiter
+            } else if (char === '"' && field.trim() === '' && !wasQuoted) {
+                quoted = true;
+                wasQuoted = true;
+                field = '';
+            } else if (comment && row.length === 0 && field === '' && text.startsWith(comment, i)) {
+                // Skip to the line end, which ends the (empty) row
+                const end = text.indexOf('\n', i);
+                i = (end === -1 ? text.length : end) - 1;
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new Error('Unterminated quoted field at the end of the file');
+        }
+        if (field !== '' || row.length > 0 || wasQuoted) endRow();
+        return rows;
+    }
+
+    // The delimiter of DELIMITERS found most often, outside quotes, in the first line
+    static detectDelimiter(text) {
+        const counts = new Map(CSVParser.DELIMITERS.map(delimiter => [delimiter, 0]));
+        let quoted = false;
+        for (let i = 0; i < text.length && (quoted || (text[i] !== '\n' && text[i] !== '\r')); i++) {
+            if (text[i] === '"') quoted = !quoted;
+            else if (!quoted && counts.has(text[i])) counts.set(text[i], counts.get(text[i]) + 1);
+        }
+        return [...counts.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+    }
+
+    // Offset (ms) of a time zone from UTC at a wall-clock time given as if it were UTC
+    static getTimeZoneOffset(timeZone, wallClock) {
+        if (!timeZone || /^(UTC|GMT|Z)$/i.test(timeZone)) return 0;
+        const fixed = CSVParser.parseOffset(timeZone);
+        if (fixed !== null) return fixed;
+
+        if (!timeZoneFormatters.has(timeZone)) {
+            try {
+                timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric', second: 'numeric'
+                }));
+            } catch (error) {
+                throw new Error(`Unknown time zone: ${timeZone}`);
+            }
+        }
+        const formatter = timeZoneFormatters.get(timeZone);
+        const offsetAt = instant => {
+            const parts = Object.fromEntries(formatter.formatToParts(new Date(instant))
+                .map(part => [part.type, Number(part.value)]));
+            const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            return local - Math.floor(instant / 1000) * 1000;
+        };
+        // Twice, so that times near a daylight saving change use the offset in force then
+        const offset = offsetAt(wallClock);
+        return offsetAt(wallClock - offset);
+    }
+
+    // 'Z', '+02:00', '+0200' or '-05' as an offset in ms, null if not an offset
+    static parseOffset(text) {
+        if (/^Z$/i.test(text)) return 0;
+        const match = text.match(/^([+-])(\d{2}):?(\d{2})?$/);
+        if (!match) return null;
+        const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+        return (match[1] === '-' ? -1 : 1) * minutes * 60000;
+    }
+
+    /**
+     * Parse a timestamp without guessing the time zone from the browser: year-first dates
+     * such as 2022/07/11 22:19, 2022-07-11 22:19:00 or 2022-07-11T22:19:00.5Z, and Unix
+     * times in s (10 digits) or ms (13 digits). A zone in the value wins over timeZone.
+     * @param {string} value
+     * @param {string} [timeZone='UTC'] - 'UTC', an offset such as '+02:00' or an IANA zone
+     *                                   such as 'Africa/Johannesburg'
+     * @returns {Date|null} null if the value is not a valid time
+     */
+    static parseTimestamp(value, timeZone = 'UTC') {
+        const text = String(value ?? '').trim();
+        if (/^\d{10}(\.\d+)?$/.test(text)) return new Date(parseFloat(text) * 1000);
+        if (/^\d{13}$/.test(text)) return new Date(Number(text));
+
+        const match = text.match(
+            /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i);
+        if (!match) return null;
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0', zone] = match;
+        const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute)) +
+                          parseFloat(second) * 1000;
+        // Date.UTC rolls over, 2022-02-30 would become 2 March
+        const check = new Date(wallClock);
+        if (check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day) ||
+            Number(hour) > 23 || Number(minute) > 59 || parseFloat(second) >= 60) {
+            return null;
+        }
+
+        const offset = zone ? CSVParser.parseOffset(zone.toUpperCase()) : CSVParser.getTimeZoneOffset(timeZone, wallClock);
+        return new Date(wallClock - offset);
+    }
+
+    /**
+     * Parse a number in the unit a sensor reads. A unit after the value (12.5 kn, 3 ft, 34.2 S)
+     * wins over the unit of the column.
+     * @param {string} value
+     * @param {string} unit - Unit wanted, a key of UNITS
+     * @param {string} [fileUnit=unit] - Unit of the column
+     * @param {string} [decimal='.'] - Decimal mark of the file
+     * @returns {number} NaN if the value is empty, not a number or in an unknown unit
+     */
+    static parseNumber(value, unit, fileUnit = unit, decimal = '.') {
+        let text = String(value ?? '').trim();
+        if (decimal !== '.') text = text.replace(decimal, '.');
+
+        const match = text.match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(\S.*)?$/i);
+        if (!match) return NaN;
+        const number = parseFloat(match[1]);
+        const suffix = match[2]?.trim();
+        if (!suffix) return CSVParser.convert(number, fileUnit, unit);
+
+        // Hemisphere letters for latitude and longitude
+        if (unit === 'deg' && /^[NSEW]$/i.test(suffix)) {
+            return /^[SW]$/i.test(suffix) ? -Math.abs(number) : Math.abs(number);
+        }
+        return CSVParser.convert(number, CSVParser.UNIT_ALIASES[suffix.toLowerCase()] || suffix, unit);
+    }
+
+    // Convert a value to a unit of UNITS, NaN for a unit it cannot be converted from
+    static convert(value, from, to) {
+        if (from === to) return value;
+        const factor = CSVParser.UNITS[to]?.[from];
+        return factor === undefined ? NaN : value * factor;
+    }
+
+    /**
+     * Turn data rows into records of typed values, sorted by time, and report what was
+     * dropped: rows with an invalid time or required value, and repeated times (the first
+     * row is kept)
+     * @param {Array} rows - Data rows, without the header
+     * @param {Array} fields - { key, label, type: 'time' or 'number', unit, required, index },
+     *                         index being the column (-1 if the file does not have it)
+     * @param {Object} [options] - { decimal, timeZone, units: { key: unit of the file } }
+     * @returns {Object} { records, report }, see createReport
+     */
+    static readRecords(rows, fields, { decimal = '.', timeZone = 'UTC', units = {} } = {}) {
+        // Fail on a bad zone once, rather than dropping every row
+        CSVParser.getTimeZoneOffset(timeZone, 0);
+
+        const report = CSVParser.createReport(rows.length);
+        const drop = (reason, count = 1) => {
+            report.dropped += count;
+            report.reasons[reason] = (report.reasons[reason] || 0) + count;
+        };
+        const timeField = fields.find(field => field.type === 'time');
+
+        let records = [];
+        rows.forEach(row => {
+            const record = {};
+            const invalid = [];
+            let reason = null;
+            fields.forEach(field => {
+                if (field.index === -1) {
+                    record[field.key] = field.type === 'time' ? null : NaN;
+                    return;
+                }
+                const value = field.type === 'time'
+                    ? CSVParser.parseTimestamp(row[field.index], timeZone)
+                    : CSVParser.parseNumber(row[field.index], field.unit, units[field.key] || field.unit, decimal);
+                record[field.key] = value;
+
+                if (field.type === 'time' ? value === null : !Number.isFinite(value)) {
+                    invalid.push(field.label);
+                    if (field.required && !reason) reason = `No valid ${field.label.toLowerCase()}`;
+                }
+            });
+
+            if (reason) {
+                drop(reason);
+            } else {
+                records.push(record);
+                invalid.forEach(label => report.invalid[label] = (report.invalid[label] || 0) + 1);
+            }
+        });
+
+        if (timeField) {
+            const key = timeField.key;
+            report.unsorted = records.filter((record, i) => i > 0 && record[key] < records[i - 1][key]).length;
+            records.sort((a, b) => a[key] - b[key]);
+
+            const unique = records.filter((record, i) => i === 0 || record[key].getTime() !== records[i - 1][key].getTime());
+            report.duplicates = records.length - unique.length;
+            if (report.duplicates > 0) drop('Repeated time', report.duplicates);
+            records = unique;
+
+            Object.assign(report, CSVParser.findGaps(records.map(record => record[key])));
+        }
+
+        report.records = records.length;
+        return { records, report };
+    }
+
+    /**
+     * rows - Data rows read
+     * records - Rows kept
+     * dropped, reasons - Rows dropped in all and per reason
+     * invalid - Empty or unreadable values of optional fields per field label, in the rows kept
+     * unsorted - Rows out of time order, sorted on reading
+     * duplicates - Rows dropped for repeating the time of an earlier one
+     * interval - Median time step (s)
+     * gaps - { from, to, duration (s) } of time steps over 1.5 times the median
+     */
+    static createReport(rows) {
+        return {
+            rows,
+            records: 0,
+            dropped: 0,
+            reasons: {},
+            invalid: {},
+            unsorted: 0,
+            duplicates: 0,
+            interval: null,
+            gaps: []
+        };
+    }
+
+    // Median time step and the steps longer than 1.5 times it, from sorted times
+    static findGaps(times) {
+        if (times.length < 2) return { interval: null, gaps: [] };
+
+        const steps = times.slice(1).map((time, i) => (time - times[i]) / 1000);
+        const sorted = [...steps].sort((a, b) => a - b);
+        const interval = sorted[Math.floor(sorted.length / 2)];
+        const gaps = [];
+        steps.forEach((step, i) => {
+            if (step > 1.5 * interval) {
+                gaps.push({ from: times[i], to: times[i + 1], duration: step });
+            }
+        });
+        return { interval, gaps };
+    }
+
+    // Format a duration (s) for reports, e.g. 0.1 s, 45 s, 5 min, 3.0 h
+    static formatDuration(seconds) {
+        if (seconds < 10) return `${Number(seconds.toFixed(2))} s`;
+        if (seconds < 120) return `${seconds.toFixed(0)} s`;
+        if (seconds < 2 * 3600) return `${(seconds / 60).toFixed(0)} min`;
+        return `${(seconds / 3600).toFixed(1)} h`;
+    }
+
+    // One line for the UI, e.g. "347 of 456 rows used, 109 dropped, 3 gaps (largest 73.0 h)"
+    static summarise(report) {
+        const parts = [`${report.records} of ${report.rows} rows used`];
+        if (report.dropped > 0) parts.push(`${report.dropped} dropped`);
+        if (report.gaps.length > 0) {
+            const largest = Math.max(...report.gaps.map(gap => gap.duration));
+            parts.push(`${report.gaps.length} gap${report.gaps.length === 1 ? '' : 's'} (largest ${CSVParser.formatDuration(largest)})`);
+        }
+        return parts.join(', ');
+    }
+
+    // Report details as lines of text: drop reasons, invalid values, order, steps and gaps
+    static describe(report) {
+        const lines = [];
+        Object.entries(report.reasons).forEach(([reason, count]) => lines.push(`Dropped: ${reason}: ${count}`));
+        Object.entries(report.invalid).forEach(([label, count]) => lines.push(`Rows kept without ${label}: ${count}`));
+        if (report.unsorted > 0) lines.push(`Rows out of time order (sorted): ${report.unsorted}`);
+        if (report.interval !== null) lines.push(`Time step: ${CSVParser.formatDuration(report.interval)}`);
+        report.gaps.forEach(({ from, to, duration }) => lines.push(
+            `Gap: ${from.toISOString().slice(0, 16)} to ${to.toISOString().slice(0, 16)} UTC (${CSVParser.formatDuration(duration)})`));
+        return lines;
+    }
+}
+
+window.CSVParser = CSVParser;
@@ -8,60 +8,28 @@ class Sensor1 {
         this.currentReading = null; // Cache current reading for hourly updates
     }
 
-    // Load and parse CSV data
-    async loadData() {
+    /**
+     * Load the sea states: a CSV time series at one point, or an ERA5 NetCDF or GRIB field sampled
+     * along the GPS track
+     * @param {Array} [track] - GPS readings for a wave field, loaded with a Sensor3 if not given
+     */
+    async loadData(track = null) {
         if (this.isLoading) return false;
         this.isLoading = true;
 
         try {
-            console.log('Fetching CSV data...');
-            const response = await fetch('./era5Data copy.csv');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const csvText = await response.text();
-            console.log('CSV data received');
-            
-            // Parse CSV data
-            const rows = csvText.split('\n')
-                              .filter(row => row.trim() && !row.startsWith('//'))
-                              .map(row => row.split(','));
-            
-            console.log('Found', rows.length, 'rows in CSV');
-            
-            // Get header row indices
-            const headers = rows[0];
-            const timeIndex = headers.findIndex(h => h === 'Time');
-            const heightIndex = headers.findIndex(h => h === 'Significant height of combined wind waves and swell');
-            const periodIndex = headers.findIndex(h => h === 'Mean wave period');
-            const directionIndex = headers.findIndex(h => h === 'Mean wave direction');
-
-            if (timeIndex === -1 || heightIndex === -1 || periodIndex === -1 || directionIndex === -1) {
-                throw new Error('Required columns not found in CSV');
-            }
-
-            // Process data rows
-            this.data = rows.slice(1)
-                           .map(row => ({
-                               timestamp: new Date(row[timeIndex]),
-                               waveHeight: parseFloat(row[heightIndex]),
-                               wavePeriod: parseFloat(row[periodIndex]),
-                               waveDirection: parseFloat(row[directionIndex])
-                           }))
-                           .filter(reading => {
-                               return !isNaN(reading.timestamp.getTime()) && 
-                                      !isNaN(reading.waveHeight) && 
-                                      !isNaN(reading.wavePeriod) && 
-                                      !isNaN(reading.waveDirection);
-                           });
-
-            if (this.data.length === 0) {
-                throw new Error('No valid data points found in CSV');
+            console.log('Fetching wave data...');
+            if (await window.dataSources.readsField('wave')) {
+                const { name, records, report } = await window.dataSources.loadField('wave', track || await Sensor1.loadTrack());
+                console.log(`${name} along the GPS track: ${CSVParser.summarise(report)}`);
+                this.data = records;
+            } else {
+                this.data = await this.loadTimeSeries();
             }
 
             console.log(`Successfully loaded ${this.data.length} valid sensor readings`);
             this.currentIndex = 0;
+            this.currentReading = null;
             this.isLoading = false;
             return true;
 
@@ -74,6 +42,42 @@ class Sensor1 {
         }
     }
 
+    // Sea states of the wave CSV
+    async loadTimeSeries() {
+        const { name, records, report, columns, options } = await window.dataSources.load('wave');
+        console.log(`${name}: ${CSVParser.summarise(report)}`);
+
+        // Wind-sea and swell partitions are optional, use those with all three columns
+        const partitions = SeaState.ERA5_PARTITIONS
+            .filter(partition => ['waveHeight', 'wavePeriod', 'waveDirection']
+                .every(field => columns[`${partition.name}/${field}`] !== -1));
+        console.log('Found', partitions.length, 'wave partitions in', name);
+
+        return records.map(record => new SeaState({
+            timestamp: record.timestamp,
+            waveHeight: record.waveHeight,
+            wavePeriod: record.wavePeriod,
+            periodType: options.periodType,
+            waveDirection: record.waveDirection,
+            partitions: partitions.map(partition => ({
+                name: partition.name,
+                type: partition.type,
+                waveHeight: record[`${partition.name}/waveHeight`],
+                wavePeriod: record[`${partition.name}/wavePeriod`],
+                waveDirection: record[`${partition.name}/waveDirection`]
+            }))
+        }));
+    }
+
+    // GPS track of the voyage, to sample a wave field along
+    static async loadTrack() {
+        const gps = new Sensor3();
+        if (!(await gps.loadData()) || gps.data.length === 0) {
+            throw new Error('Sampling a wave field needs the GPS track, which did not load');
+        }
+        return gps.data;
+    }
+
     // Get next reading with caching for hourly updates
     getNextReading(forceUpdate = false) {
         if (this.data.length === 0) {
@@ -123,48 +127,11 @@ class Sensor2 {
         this.isLoading = true;
 
         try {
-            console.log('Fetching vessel CSV data...');
-            const response = await fetch('./five_minute_batch copy.csv');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const csvText = await response.text();
-            console.log('Vessel CSV data received');
-            
-            // Parse CSV data
-            const rows = csvText.split('\n')
-                              .filter(row => row.trim() && !row.startsWith('//'))
-                              .map(row => row.split(','));
-            
-            console.log('Found', rows.length, 'rows in vessel CSV');
-            
-            // Get header row indices
-            const headers = rows[0];
-            const timeIndex = headers.findIndex(h => h === 'TIME_SERVER');
-            const headingIndex = headers.findIndex(h => h === 'MEAN_HEADING');
-            const speedIndex = headers.findIndex(h => h === 'MEAN_GPS_SOG_KNOTS');
-
-            if (timeIndex === -1 || headingIndex === -1 || speedIndex === -1) {
-                throw new Error('Required columns not found in vessel CSV');
-            }
+            console.log('Fetching vessel data...');
+            const { name, records, report } = await window.dataSources.load('vessel');
+            console.log(`${name}: ${CSVParser.summarise(report)}`);
 
-            // Process data rows
-            this.data = rows.slice(1)
-                           .map(row => ({
-                               timestamp: new Date(row[timeIndex]),
-                               heading: parseFloat(row[headingIndex]),
-                               speed: parseFloat(row[speedIndex])
-                           }))
-                           .filter(reading => {
-                               return !isNaN(reading.timestamp.getTime()) && 
-                                      !isNaN(reading.heading) && 
-                                      !isNaN(reading.speed);
-                           });
-
-            if (this.data.length === 0) {
-                throw new Error('No valid data points found in vessel CSV');
-            }
+            this.data = records.map(({ timestamp, heading, speed }) => ({ timestamp, heading, speed }));
 
             console.log(`Successfully loaded ${this.data.length} valid vessel readings`);
             this.currentIndex = 0;
@@ -192,6 +159,32 @@ class Sensor2 {
         return reading;
     }
 
+    /**
+     * Vessel state in force at a time, the latest reading up to maxGap earlier
+     * @param {Array} vesselReadings - { timestamp, speed, heading } sorted by time
+     * @param {Date} timestamp - Time to look up
+     * @param {number} [maxGap=3600] - Longest time (s) a vessel reading stays valid
+     */
+    static findReadingAt(vesselReadings, timestamp, maxGap = 3600) {
+        const time = timestamp.getTime();
+        let low = 0;
+        let high = vesselReadings.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            if (vesselReadings[mid].timestamp.getTime() <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (found === -1 || (time - vesselReadings[found].timestamp.getTime()) / 1000 > maxGap) {
+            return null;
+        }
+        return vesselReadings[found];
+    }
+
     // Start simulated streaming - now just returns first reading
     startStreaming(callback, interval = 300000) {
         if (this.data.length === 0) {
@@ -224,76 +217,15 @@ class Sensor3 {
         this.isLoading = true;
 
         try {
-            console.log('Fetching GPS CSV data...');
-            const response = await fetch('./SDS_Export_300722_233846_SCALE_Winter2022_Full copy.csv');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const csvText = await response.text();
-            console.log('GPS CSV data received');
-            
-            // Parse CSV data - note this file uses quoted values
-            const rows = csvText.split('\n')
-                              .filter(row => row.trim() && !row.startsWith('//'))
-                              .map(row => {
-                                  // Handle quoted CSV properly
-                                  const result = [];
-                                  let current = '';
-                                  let inQuotes = false;
-                                  
-                                  for (let i = 0; i < row.length; i++) {
-                                      const char = row[i];
-                                      if (char === '"') {
-                                          inQuotes = !inQuotes;
-                                      } else if (char === ',' && !inQuotes) {
-                                          result.push(current.trim());
-                                          current = '';
-                                      } else {
-                                          current += char;
-                                      }
-                                  }
-                                  result.push(current.trim());
-                                  return result;
-                              });
-            
-            console.log('Found', rows.length, 'rows in GPS CSV');
-            
-            // Get header row indices
-            const headers = rows[0].map(h => h.replace(/"/g, ''));
-            const timeIndex = headers.findIndex(h => h === 'TIME_SERVER');
-            const latIndex = headers.findIndex(h => h === 'LAT_DEC');
-            const lonIndex = headers.findIndex(h => h === 'LON_DEC');
-
-            console.log('Header indices:', { timeIndex, latIndex, lonIndex });
-            console.log('Headers:', headers.slice(0, 10));
-
-            if (timeIndex === -1 || latIndex === -1 || lonIndex === -1) {
-                throw new Error('Required GPS columns not found in CSV');
-            }
-
-            // Process data rows and filter to 5-minute intervals
-            const allData = rows.slice(1)
-                               .map(row => {
-                                   const timeStr = row[timeIndex]?.replace(/"/g, '');
-                                   const lat = parseFloat(row[latIndex]?.replace(/"/g, ''));
-                                   const lon = parseFloat(row[lonIndex]?.replace(/"/g, ''));
-                                   
-                                   if (!timeStr || isNaN(lat) || isNaN(lon)) return null;
-                                   
-                                   return {
-                                       timestamp: new Date(timeStr),
-                                       latitude: lat,
-                                       longitude: lon
-                                   };
-                               })
-                               .filter(row => row !== null);
+            console.log('Fetching GPS data...');
+            const { name, records, report } = await window.dataSources.load('gps');
+            console.log(`${name}: ${CSVParser.summarise(report)}`);
 
             // Filter to approximately 5-minute intervals
             this.data = [];
             let lastTime = null;
             
-            for (const reading of allData) {
+            for (const reading of records) {
                 if (!lastTime || (reading.timestamp - lastTime) >= 4.5 * 60 * 1000) { // 4.5 minutes tolerance
                     this.data.push(reading);
                     lastTime = reading.timestamp;
@@ -371,3 +303,44 @@ class Sensor3 {
 window.Sensor3 = Sensor3;
 
 
+// Sensor4 class for measured ship motion (IMU heave, pitch, roll or vertical acceleration)
+class Sensor4 {
+    constructor() {
+        this.data = [];                     // { timestamp, heave, pitch, roll, verticalAcceleration }
+        this.channels = [];                 // Fields the file has a column for
+        this.interval = null;               // Median sample interval (s)
+        this.accelerometerPosition = null;  // Ship position of the vertical acceleration
+        this.isLoading = false;
+    }
+
+    // Load and parse the motion CSV, there is no bundled file
+    async loadData() {
+        if (this.isLoading) return false;
+        this.isLoading = true;
+
+        try {
+            console.log('Fetching measured motion data...');
+            const { name, records, report, columns, options } = await window.dataSources.load('motion');
+            console.log(`${name}: ${CSVParser.summarise(report)}`);
+
+            this.data = records;
+            this.channels = ['heave', 'pitch', 'roll', 'verticalAcceleration'].filter(key => columns[key] !== -1);
+            this.interval = report.interval;
+            this.accelerometerPosition = options.position || null;
+
+            console.log(`Successfully loaded ${this.data.length} motion samples (${this.channels.join(', ')})`);
+            this.isLoading = false;
+            return true;
+
+        } catch (error) {
+            console.error('Error loading measured motion data:', error);
+            this.data = [];
+            this.channels = [];
+            this.isLoading = false;
+            return false;
+        }
+    }
+}
+
+// Make Sensor4 available globally
+window.Sensor4 = Sensor4;
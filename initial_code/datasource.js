@@ -0,0 +1,342 @@
+// DataSource.js - Where each sensor's CSV comes from, the bundled file or one the user loaded,
+// and which of its columns hold the fields the sensor reads
+class DataSourceManager {
+    constructor() {
+        this.files = {};        // Source key -> File chosen by the user, instead of the bundled URL
+        this.reports = {};      // Source key -> CSVParser report of the last load, or { error }
+        this.mappings = this.loadMappings();
+        this.eventTarget = new EventTarget();
+    }
+
+    // localStorage key of the saved column mappings
+    static get STORAGE_KEY() {
+        return 'dataSourceMappings';
+    }
+
+    /**
+     * Sources with the bundled file and the fields the sensors read, the column and unit
+     * being those of the bundled file. Wave partitions are optional, used when all three are
+     * mapped. Options: delimiter ('auto' finds it from the header row), decimal mark, time
+     * zone of times without one (all bundled files are in UTC) and the wave period type.
+     * A gridded source also reads ERA5 NetCDF or GRIB files, sampled along the GPS track. A source
+     * without a url has no bundled file; of its anyOf fields at least one must be mapped.
+     */
+    static get SOURCES() {
+        return {
+            wave: {
+                label: 'Sea state (ERA5)',
+                url: './era5Data copy.csv',
+                gridded: true,
+                fields: [
+                    { key: 'timestamp', label: 'Time', column: 'Time', type: 'time', required: true },
+                    { key: 'waveHeight', label: 'Significant wave height (m)', column: 'Significant height of combined wind waves and swell', type: 'number', unit: 'm', required: true },
+                    { key: 'wavePeriod', label: 'Wave period (s)', column: 'Mean wave period', type: 'number', unit: 's', required: true },
+                    { key: 'waveDirection', label: 'Mean wave direction (deg, from)', column: 'Mean wave direction', type: 'number', unit: 'deg', required: true },
+                    ...SeaState.ERA5_PARTITIONS.flatMap(partition => [
+                        { key: `${partition.name}/waveHeight`, label: `${partition.name} height (m)`, column: partition.height, type: 'number', unit: 'm', required: false },
+                        { key: `${partition.name}/wavePeriod`, label: `${partition.name} period (s)`, column: partition.period, type: 'number', unit: 's', required: false },
+                        { key: `${partition.name}/waveDirection`, label: `${partition.name} direction (deg, from)`, column: partition.direction, type: 'number', unit: 'deg', required: false }
+                    ])
+                ],
+                // The kind of wave period in the file, see SeaState.PERIOD_TYPES
+                options: { ...DataSourceManager.FILE_OPTIONS, periodType: SeaState.ERA5_PERIOD_TYPE }
+            },
+            vessel: {
+                label: 'Vessel speed and heading',
+                url: './five_minute_batch copy.csv',
+                fields: [
+                    { key: 'timestamp', label: 'Time', column: 'TIME_SERVER', type: 'time', required: true },
+                    { key: 'heading', label: 'Heading (deg)', column: 'MEAN_HEADING', type: 'number', unit: 'deg', required: true },
+                    { key: 'speed', label: 'Speed over ground (kn)', column: 'MEAN_GPS_SOG_KNOTS', type: 'number', unit: 'kn', required: true }
+                ],
+                options: { ...DataSourceManager.FILE_OPTIONS }
+            },
+            gps: {
+                label: 'GPS track',
+                url: './SDS_Export_300722_233846_SCALE_Winter2022_Full copy.csv',
+                fields: [
+                    { key: 'timestamp', label: 'Time', column: 'TIME_SERVER', type: 'time', required: true },
+                    { key: 'latitude', label: 'Latitude (decimal deg)', column: 'LAT_DEC', type: 'number', unit: 'deg', required: true },
+                    { key: 'longitude', label: 'Longitude (decimal deg)', column: 'LON_DEC', type: 'number', unit: 'deg', required: true }
+                ],
+                options: { ...DataSourceManager.FILE_OPTIONS }
+            },
+            motion: {
+                label: 'Measured motion (IMU)',
+                url: null,
+                fields: [
+                    { key: 'timestamp', label: 'Time', column: 'Time', type: 'time', required: true },
+                    { key: 'heave', label: 'Heave (m, up)', column: 'Heave', type: 'number', unit: 'm', required: false },
+                    { key: 'pitch', label: 'Pitch (deg, bow down)', column: 'Pitch', type: 'number', unit: 'deg', required: false },
+                    { key: 'roll', label: 'Roll (deg, starboard down)', column: 'Roll', type: 'number', unit: 'deg', required: false },
+                    { key: 'verticalAcceleration', label: 'Vertical acceleration (m/s²)', column: 'Vertical acceleration', type: 'number', unit: 'm/s²', required: false }
+                ],
+                anyOf: ['heave', 'verticalAcceleration'],
+                // Heave, pitch and roll are those at midships, position is where the accelerometer is
+                options: { ...DataSourceManager.FILE_OPTIONS, position: '' }
+            }
+        };
+    }
+
+    static get FILE_OPTIONS() {
+        return { delimiter: 'auto', decimal: '.', timeZone: 'UTC' };
+    }
+
+    addEventListener(type, listener) {
+        this.eventTarget.addEventListener(type, listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.eventTarget.removeEventListener(type, listener);
+    }
+
+    dispatchEvent(event) {
+        return this.eventTarget.dispatchEvent(event);
+    }
+
+    static getSource(key) {
+        const source = DataSourceManager.SOURCES[key];
+        if (!source) {
+            throw new Error(`Unknown data source: ${key}`);
+        }
+        return source;
+    }
+
+    // A file format is known by its header row as delimiter detection splits it, the mapping
+    // (which may then choose another delimiter) is saved per format
+    static formatKey(headers) {
+        return JSON.stringify(headers);
+    }
+
+    loadMappings() {
+        try {
+            return JSON.parse(localStorage.getItem(DataSourceManager.STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable saved column mappings:', error);
+            return {};
+        }
+    }
+
+    // Mapping that reads the bundled file: { columns: { field: column }, units: { field: unit }, options }
+    getDefaultMapping(sourceKey) {
+        const source = DataSourceManager.getSource(sourceKey);
+        const numbers = source.fields.filter(field => field.type === 'number');
+        return {
+            columns: Object.fromEntries(source.fields.map(field => [field.key, field.column])),
+            units: Object.fromEntries(numbers.map(field => [field.key, field.unit])),
+            options: { ...source.options }
+        };
+    }
+
+    // Saved mapping for a header row, the default mapping for a format not seen before
+    getMapping(sourceKey, headers) {
+        const saved = this.mappings[sourceKey]?.[DataSourceManager.formatKey(headers)];
+        const defaults = this.getDefaultMapping(sourceKey);
+        return saved
+            ? {
+                columns: { ...saved.columns },
+                units: { ...defaults.units, ...saved.units },
+                options: { ...defaults.options, ...saved.options }
+            }
+            : defaults;
+    }
+
+    // Remember a mapping for every file with this header row
+    saveMapping(sourceKey, headers, mapping) {
+        DataSourceManager.getSource(sourceKey);
+        this.mappings[sourceKey] = {
+            ...this.mappings[sourceKey],
+            [DataSourceManager.formatKey(headers)]: mapping
+        };
+        localStorage.setItem(DataSourceManager.STORAGE_KEY, JSON.stringify(this.mappings));
+    }
+
+    // Labels of the required fields a mapping leaves without a column of the header row
+    getMissingFields(sourceKey, headers, mapping) {
+        const source = DataSourceManager.getSource(sourceKey);
+        const mapped = field => headers.includes(mapping.columns[field.key]);
+        const missing = source.fields.filter(field => field.required && !mapped(field)).map(field => field.label);
+
+        const anyOf = source.fields.filter(field => source.anyOf?.includes(field.key));
+        if (anyOf.length > 0 && !anyOf.some(mapped)) {
+            missing.push(anyOf.map(field => field.label).join(' or '));
+        }
+        return missing;
+    }
+
+    // Name of the file a source reads
+    getFileName(sourceKey) {
+        const file = this.files[sourceKey];
+        const url = DataSourceManager.getSource(sourceKey).url;
+        return file ? file.name : url ? url.replace(/^\.\//, '') : 'No file chosen';
+    }
+
+    // True if the source has a file to read, chosen or bundled
+    hasFile(sourceKey) {
+        return Boolean(this.files[sourceKey] || DataSourceManager.getSource(sourceKey).url);
+    }
+
+    async readText(sourceKey) {
+        const file = this.files[sourceKey];
+        if (file) {
+            return file.text();
+        }
+        const { label, url } = DataSourceManager.getSource(sourceKey);
+        if (!url) {
+            throw new Error(`No file chosen for ${label}`);
+        }
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} (${url})`);
+        }
+        return response.text();
+    }
+
+    // Header row of a file, to set up its mapping before it is used
+    static async readHeaders(file, delimiter = 'auto') {
+        const firstLine = (await file.slice(0, 64 * 1024).text()).split('\n')[0];
+        return CSVParser.parse(firstLine, { delimiter })[0] || [];
+    }
+
+    // 'csv', or the format NetCDFReader.detectFormat finds from the first bytes
+    static async detectFormat(file) {
+        const format = NetCDFReader.detectFormat(await file.slice(0, 8).arrayBuffer());
+        return format === 'unknown' ? 'csv' : format;
+    }
+
+    // Format of a file for a source, 'csv', 'netcdf' or 'grib'; throws for a file the source cannot read
+    static async checkFile(sourceKey, file) {
+        const format = await DataSourceManager.detectFormat(file);
+        if (format === 'csv') return format;
+        if (NetCDFReader.UNSUPPORTED[format]) {
+            throw new Error(NetCDFReader.UNSUPPORTED[format]);
+        }
+        if (!DataSourceManager.getSource(sourceKey).gridded) {
+            throw new Error(`${DataSourceManager.getSource(sourceKey).label} is read from CSV files only`);
+        }
+        return format;
+    }
+
+    // Format of the file a source reads now, the bundled files are CSV
+    async getFormat(sourceKey) {
+        const file = this.files[sourceKey];
+        return file ? DataSourceManager.detectFormat(file) : 'csv';
+    }
+
+    // True if a source reads a wave field (NetCDF or GRIB) now rather than a CSV time series
+    async readsField(sourceKey) {
+        return await this.getFormat(sourceKey) !== 'csv';
+    }
+
+    // Header row of the file a source reads now, split at the delimiter given
+    async readSourceHeaders(sourceKey, delimiter = 'auto') {
+        const file = this.files[sourceKey];
+        if (file && await this.readsField(sourceKey)) {
+            throw new Error('Wave field files have no columns to map, their variables are found by ERA5 short name');
+        }
+        if (file) {
+            return DataSourceManager.readHeaders(file, delimiter);
+        }
+        const firstLine = (await this.readText(sourceKey)).split('\n')[0];
+        return CSVParser.parse(firstLine, { delimiter })[0] || [];
+    }
+
+    /**
+     * Use a file for a source from now on, dispatches 'sourceChanged' with the source key
+     * @param {string} sourceKey - 'wave', 'vessel', 'gps' or 'motion'
+     * @param {File|null} file - File to read, null to go back to the bundled file (or none)
+     */
+    setFile(sourceKey, file) {
+        DataSourceManager.getSource(sourceKey);
+        if (file) {
+            this.files[sourceKey] = file;
+        } else {
+            delete this.files[sourceKey];
+        }
+        this.dispatchEvent(new CustomEvent('sourceChanged', { detail: { source: sourceKey } }));
+    }
+
+    /**
+     * Read a source through its column mapping into typed records, keeps the report and
+     * dispatches 'sourceLoaded' with the source key, also when reading fails
+     * @returns {Promise<Object>} { name, records, report, columns, options } with records as
+     *                            { field: value } in time order and columns the index of each
+     *                            field (-1 if not in the file)
+     */
+    async load(sourceKey) {
+        const name = this.getFileName(sourceKey);
+        try {
+            const source = DataSourceManager.getSource(sourceKey);
+            const text = await this.readText(sourceKey);
+            const formatHeaders = CSVParser.parse(text.split('\n')[0])[0] || [];
+            const mapping = this.getMapping(sourceKey, formatHeaders);
+            const rows = CSVParser.parse(text, { delimiter: mapping.options.delimiter });
+            if (rows.length === 0) {
+                throw new Error(`${name} is empty`);
+            }
+
+            const headers = rows[0];
+            const missing = this.getMissingFields(sourceKey, headers, mapping);
+            if (missing.length > 0) {
+                throw new Error(`Columns not mapped in ${name}: ${missing.join(', ')}`);
+            }
+
+            const columns = Object.fromEntries(source.fields
+                .map(field => [field.key, mapping.columns[field.key] ? headers.indexOf(mapping.columns[field.key]) : -1]));
+            const { records, report } = CSVParser.readRecords(
+                rows.slice(1),
+                source.fields.map(field => ({ ...field, index: columns[field.key] })),
+                { ...mapping.options, units: mapping.units }
+            );
+            if (records.length === 0) {
+                throw new Error(`No valid rows in ${name}: ${CSVParser.describe(report).join('; ')}`);
+            }
+
+            this.reports[sourceKey] = { name, ...report };
+            this.dispatchEvent(new CustomEvent('sourceLoaded', { detail: { source: sourceKey } }));
+            return { name, records, report, columns, options: mapping.options };
+        } catch (error) {
+            this.reports[sourceKey] = { name, error: error.message };
+            this.dispatchEvent(new CustomEvent('sourceLoaded', { detail: { source: sourceKey } }));
+            throw error;
+        }
+    }
+
+    /**
+     * Read a gridded source (an ERA5 NetCDF or GRIB file) as sea states along a track, keeps the
+     * report and dispatches 'sourceLoaded' like load
+     * @param {string} sourceKey
+     * @param {Array} track - { timestamp, latitude, longitude } in time order
+     * @returns {Promise<Object>} { name, records, report } with records the SeaStates
+     */
+    async loadField(sourceKey, track) {
+        const name = this.getFileName(sourceKey);
+        try {
+            const file = this.files[sourceKey];
+            if (!file) {
+                throw new Error(`${name} is not a NetCDF or GRIB file`);
+            }
+            if (!track || track.length === 0) {
+                throw new Error('Sampling a wave field needs the GPS track');
+            }
+
+            const field = ERA5Field.fromBuffer(await file.arrayBuffer());
+            const { records, report } = field.sampleTrack(track);
+            if (records.length === 0) {
+                throw new Error(`The GPS track is not covered by ${name}: ${CSVParser.describe(report).join('; ')}`);
+            }
+
+            this.reports[sourceKey] = { name, ...report };
+            this.dispatchEvent(new CustomEvent('sourceLoaded', { detail: { source: sourceKey } }));
+            return { name, records, report };
+        } catch (error) {
+            this.reports[sourceKey] = { name, error: error.message };
+            this.dispatchEvent(new CustomEvent('sourceLoaded', { detail: { source: sourceKey } }));
+            throw error;
+        }
+    }
+}
+
+// Create global instance
+window.DataSourceManager = DataSourceManager;
+window.dataSources = new DataSourceManager();
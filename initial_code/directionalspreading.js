@@ -0,0 +1,69 @@
+// DirectionalSpreading.js - Short-crested seas: spreads a partition's energy around its mean direction
+class DirectionalSpreading {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.type='cos-2s'] - 'cos-2s', 'cos-n' or 'none' (long-crested)
+     * @param {number} [options.count=24] - Number of discrete directions
+     */
+    constructor({ type = 'cos-2s', count = 24 } = {}) {
+        if (!DirectionalSpreading.DEFAULT_EXPONENTS[type] && type !== 'none') {
+            throw new Error(`Unknown spreading type: ${type}`);
+        }
+        this.type = type;
+        this.count = count;
+    }
+
+    // Default spreading exponents: s for cos-2s (Mitsuyasu/Goda), n for cos-n (DNV-RP-C205)
+    static get DEFAULT_EXPONENTS() {
+        return {
+            'cos-2s': { wind: 10, swell: 25 },
+            'cos-n': { wind: 2, swell: 6 }
+        };
+    }
+
+    // Exponent for a partition type ('wind', 'swell' or 'combined', which spreads like wind sea)
+    getDefaultExponent(partitionType) {
+        const exponents = DirectionalSpreading.DEFAULT_EXPONENTS[this.type];
+        return partitionType === 'swell' ? exponents.swell : exponents.wind;
+    }
+
+    // Unnormalised spreading function at angle theta (rad) from the mean direction
+    spreadingFunction(theta, exponent) {
+        if (this.type === 'cos-n') {
+            return Math.abs(theta) < Math.PI / 2 ? Math.pow(Math.cos(theta), exponent) : 0;
+        }
+        return Math.pow(Math.cos(theta / 2), 2 * exponent);
+    }
+
+    /**
+     * Discrete directions and energy weights around a mean direction
+     * @param {number} meanDirection - Direction the waves come from (deg)
+     * @param {number} [exponent] - s (cos-2s) or n (cos-n), defaults to the wind-sea value
+     * @returns {Array} { direction, weight } with weights summing to 1
+     */
+    getDirections(meanDirection, exponent) {
+        if (this.type === 'none') {
+            return [{ direction: meanDirection, weight: 1 }];
+        }
+        const power = exponent !== undefined ? exponent : this.getDefaultExponent('wind');
+        // cos-n has no energy beyond ±90°, cos-2s spans the full circle
+        const halfWidth = this.type === 'cos-n' ? Math.PI / 2 : Math.PI;
+        const step = 2 * halfWidth / this.count;
+
+        const directions = [];
+        for (let k = 0; k < this.count; k++) {
+            const theta = -halfWidth + (k + 0.5) * step;
+            directions.push({
+                direction: meanDirection + theta * 180 / Math.PI,
+                weight: this.spreadingFunction(theta, power)
+            });
+        }
+        // Normalise numerically so the discrete weights keep the partition's energy
+        const total = directions.reduce((sum, d) => sum + d.weight, 0);
+        return directions
+            .map(d => ({ direction: ((d.direction % 360) + 360) % 360, weight: d.weight / total }))
+            .filter(d => d.weight > 1e-6);
+    }
+}
+
+window.DirectionalSpreading = DirectionalSpreading;
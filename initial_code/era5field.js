@@ -0,0 +1,273 @@
+// ERA5Field.js - ERA5 wave fields from a NetCDF or GRIB file, sampled as sea states at any position and time
+class ERA5Field {
+    /**
+     * @param {NetCDFReader|GRIBReader} reader - ERA5 wave file with time, latitude and longitude coordinates
+     */
+    constructor(reader) {
+        this.reader = reader;
+        const find = names => names.find(name => reader.hasVariable(name));
+        this.coordinates = {
+            time: find(['valid_time', 'time']),
+            latitude: find(['latitude', 'lat']),
+            longitude: find(['longitude', 'lon'])
+        };
+        const missing = Object.keys(this.coordinates).filter(key => !this.coordinates[key]);
+        if (missing.length > 0) {
+            throw new Error(`No ${missing.join(', ')} coordinate in the file`);
+        }
+
+        this.times = ERA5Field.parseTimes(reader.getValues(this.coordinates.time),
+                                          reader.getAttribute(this.coordinates.time, 'units'));
+        this.latitudes = reader.getValues(this.coordinates.latitude);
+        this.longitudes = reader.getValues(this.coordinates.longitude);
+
+        if (!reader.hasVariable(ERA5Field.VARIABLES.waveHeight) || !reader.hasVariable(ERA5Field.VARIABLES.waveDirection) ||
+            !(reader.hasVariable(ERA5Field.VARIABLES.wavePeriod) || reader.hasVariable(ERA5Field.VARIABLES.peakPeriod))) {
+            throw new Error('The wave file needs swh, mwd and mwp or pp1d');
+        }
+        // The mean period matches the CSV export, the peak period stands in without it
+        this.period = reader.hasVariable(ERA5Field.VARIABLES.wavePeriod)
+            ? { variable: ERA5Field.VARIABLES.wavePeriod, type: SeaState.ERA5_PERIOD_TYPE }
+            : { variable: ERA5Field.VARIABLES.peakPeriod, type: 'Tp' };
+
+        const hasAll = variables => Object.values(variables).every(name => reader.hasVariable(name));
+        this.partitions = SeaState.ERA5_PARTITIONS.filter(partition => hasAll(partition.variables));
+        // The total swell only where the swell partitions are missing, it sums them
+        if (!this.partitions.some(partition => partition.type === 'swell') && hasAll(ERA5Field.TOTAL_SWELL.variables)) {
+            this.partitions.push(ERA5Field.TOTAL_SWELL);
+        }
+    }
+
+    // ERA5 short names of the combined sea state
+    static get VARIABLES() {
+        return { waveHeight: 'swh', wavePeriod: 'mwp', peakPeriod: 'pp1d', waveDirection: 'mwd' };
+    }
+
+    static get TOTAL_SWELL() {
+        return { name: 'Total swell', type: 'swell', variables: { height: 'shts', period: 'mpts', direction: 'mdts' } };
+    }
+
+    // Load a field from a file's contents, NetCDF classic or GRIB
+    static fromBuffer(buffer) {
+        const format = NetCDFReader.detectFormat(buffer);
+        return new ERA5Field(format === 'grib' ? new GRIBReader(buffer) : new NetCDFReader(buffer));
+    }
+
+    /**
+     * CF time values as ms since 1970
+     * @param {Float64Array} values
+     * @param {string} units - e.g. 'hours since 1900-01-01 00:00:00.0' or 'seconds since 1970-01-01'
+     */
+    static parseTimes(values, units) {
+        const match = String(units || '').match(/^\s*(\w+)\s+since\s+(.+?)\s*$/i);
+        const scales = { second: 1000, minute: 60000, hour: 3600000, day: 86400000 };
+        const scale = match && scales[match[1].toLowerCase().replace(/s$/, '')];
+        const origin = match && CSVParser.parseTimestamp(match[2].replace(/\s+UTC$/i, ''), 'UTC');
+        if (!scale || !origin) {
+            throw new Error(`Unknown time units in the wave file: ${units}`);
+        }
+        return Array.from(values, value => origin.getTime() + value * scale);
+    }
+
+    /**
+     * Neighbours of a value in sorted coordinates (either order) with the weight of the
+     * second; a single coordinate is used for any value, otherwise values more than half a
+     * step outside are not covered
+     * @returns {Object|null} { i0, i1, weight }
+     */
+    static bracket(coordinates, value) {
+        const n = coordinates.length;
+        if (n === 1) return { i0: 0, i1: 0, weight: 0 };
+
+        const ascending = coordinates[n - 1] > coordinates[0];
+        const step = Math.abs(coordinates[1] - coordinates[0]);
+        const first = ascending ? coordinates[0] : coordinates[n - 1];
+        const last = ascending ? coordinates[n - 1] : coordinates[0];
+        if (value < first - step / 2 || value > last + step / 2) return null;
+        if (value <= first) return ascending ? { i0: 0, i1: 0, weight: 0 } : { i0: n - 1, i1: n - 1, weight: 0 };
+        if (value >= last) return ascending ? { i0: n - 1, i1: n - 1, weight: 0 } : { i0: 0, i1: 0, weight: 0 };
+
+        let low = 0;
+        let high = n - 1;
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if ((coordinates[mid] <= value) === ascending) low = mid;
+            else high = mid;
+        }
+        return { i0: low, i1: high, weight: (value - coordinates[low]) / (coordinates[high] - coordinates[low]) };
+    }
+
+    // Longitude neighbours, across the date line or the 0/360 seam on a global grid
+    bracketLongitude(longitude) {
+        const lons = this.longitudes;
+        const n = lons.length;
+        const lon = lons[0] + ((longitude - lons[0]) % 360 + 360) % 360;
+        if (n > 1 && lon > lons[n - 1]) {
+            const step = lons[1] - lons[0];
+            if (lons[n - 1] + step - lons[0] >= 360 - 1e-6) {
+                return { i0: n - 1, i1: 0, weight: (lon - lons[n - 1]) / step };
+            }
+            // Just west of the first column
+            if (lons[0] + 360 - lon <= step / 2) return { i0: 0, i1: 0, weight: 0 };
+        }
+        return ERA5Field.bracket(lons, lon);
+    }
+
+    // Time neighbours, null outside the field's time range
+    bracketTime(time) {
+        const times = this.times;
+        if (time < times[0] || time > times[times.length - 1]) return null;
+        return ERA5Field.bracket(times, time);
+    }
+
+    /**
+     * Value of a variable at grid indices; other dimensions (such as expver, which splits
+     * ERA5 from the preliminary ERA5T) take their first finite value
+     */
+    getGridValue(name, time, latitude, longitude) {
+        const info = this.reader.getVariableInfo(name);
+        const fixed = {
+            [this.coordinates.time]: time,
+            [this.coordinates.latitude]: latitude,
+            [this.coordinates.longitude]: longitude
+        };
+        const others = info.dimensions.filter(dimension => !(dimension in fixed));
+        const count = others.reduce((product, dimension) => product * info.shape[info.dimensions.indexOf(dimension)], 1);
+
+        for (let k = 0; k < count; k++) {
+            let rest = k;
+            const indices = info.dimensions.map((dimension, i) => {
+                if (dimension in fixed) return fixed[dimension];
+                const index = rest % info.shape[i];
+                rest = Math.floor(rest / info.shape[i]);
+                return index;
+            });
+            const value = this.reader.getValue(name, indices);
+            if (Number.isFinite(value)) return value;
+        }
+        return NaN;
+    }
+
+    // Trilinear weights of the eight surrounding grid values, the weights of equal indices summed
+    getCorners(time, latitude, longitude) {
+        const t = this.bracketTime(time);
+        const y = ERA5Field.bracket(this.latitudes, latitude);
+        const x = this.bracketLongitude(longitude);
+        if (!t || !y || !x) return null;
+
+        const corners = [];
+        [[t.i0, 1 - t.weight], [t.i1, t.weight]].forEach(([ti, tw]) => {
+            [[y.i0, 1 - y.weight], [y.i1, y.weight]].forEach(([yi, yw]) => {
+                [[x.i0, 1 - x.weight], [x.i1, x.weight]].forEach(([xi, xw]) => {
+                    if (tw * yw * xw > 0) corners.push({ indices: [ti, yi, xi], weight: tw * yw * xw });
+                });
+            });
+        });
+        return corners;
+    }
+
+    // Weighted mean over the corners with data, land and ice cells left out
+    interpolate(name, corners) {
+        let sum = 0;
+        let weights = 0;
+        corners.forEach(({ indices, weight }) => {
+            const value = this.getGridValue(name, ...indices);
+            if (Number.isFinite(value)) {
+                sum += weight * value;
+                weights += weight;
+            }
+        });
+        return weights > 0 ? sum / weights : NaN;
+    }
+
+    // Directions (degrees) as the weighted mean of unit vectors, in [0, 360)
+    interpolateDirection(name, corners) {
+        let x = 0;
+        let y = 0;
+        corners.forEach(({ indices, weight }) => {
+            const value = this.getGridValue(name, ...indices);
+            if (Number.isFinite(value)) {
+                x += weight * Math.cos(value * Math.PI / 180);
+                y += weight * Math.sin(value * Math.PI / 180);
+            }
+        });
+        if (x === 0 && y === 0) return NaN;
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    /**
+     * Sea state at a position and time, interpolated in space and time
+     * @param {number} latitude - Decimal degrees
+     * @param {number} longitude - Decimal degrees, either -180..180 or 0..360
+     * @param {Date} timestamp
+     * @returns {SeaState|null} null outside the field or where it has no waves (land)
+     */
+    sampleAt(latitude, longitude, timestamp) {
+        const corners = this.getCorners(timestamp.getTime(), latitude, longitude);
+        if (!corners) return null;
+
+        const waveHeight = this.interpolate(ERA5Field.VARIABLES.waveHeight, corners);
+        if (!Number.isFinite(waveHeight)) return null;
+
+        return new SeaState({
+            timestamp: new Date(timestamp.getTime()),
+            waveHeight,
+            wavePeriod: this.interpolate(this.period.variable, corners),
+            periodType: this.period.type,
+            waveDirection: this.interpolateDirection(ERA5Field.VARIABLES.waveDirection, corners),
+            partitions: this.partitions.map(partition => ({
+                name: partition.name,
+                type: partition.type,
+                waveHeight: this.interpolate(partition.variables.height, corners),
+                wavePeriod: this.interpolate(partition.variables.period, corners),
+                waveDirection: this.interpolateDirection(partition.variables.direction, corners)
+            }))
+        });
+    }
+
+    /**
+     * Sea states along a track, one per time step of the field within the track's time range,
+     * at the ship position interpolated from the track for that time
+     * @param {Array} track - { timestamp, latitude, longitude } in time order, e.g. Sensor3 data
+     * @returns {Object} { records, report } with a CSVParser report, a field time step counting as a row
+     */
+    sampleTrack(track) {
+        const report = CSVParser.createReport(this.times.length);
+        const drop = reason => {
+            report.dropped++;
+            report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+        };
+
+        // Positions across a missed fix or two are interpolated, longer gaps are not
+        const { interval } = CSVParser.findGaps(track.map(fix => fix.timestamp));
+        const gps = SensorHub.DEFAULT_MAX_GAPS.gps;
+        const hub = new SensorHub({ gps: { data: track } }, { gps: Math.max(gps, 1.5 * (interval || 0)) });
+        const first = track.length > 0 ? track[0].timestamp.getTime() : Infinity;
+        const last = track.length > 0 ? track[track.length - 1].timestamp.getTime() : -Infinity;
+
+        const records = [];
+        this.times.forEach(time => {
+            const position = time >= first && time <= last ? hub.getPositionAt(new Date(time)) : null;
+            if (!position) {
+                drop('Outside the time range of the GPS track');
+            } else if (position.gap) {
+                drop('Gap in the GPS track');
+            } else {
+                const { latitude, longitude, timestamp } = position.reading;
+                if (!ERA5Field.bracket(this.latitudes, latitude) || !this.bracketLongitude(longitude)) {
+                    drop('Outside the area of the field');
+                } else {
+                    const seaState = this.sampleAt(latitude, longitude, timestamp);
+                    if (seaState) records.push(seaState);
+                    else drop('No wave data at the position');
+                }
+            }
+        });
+
+        report.records = records.length;
+        Object.assign(report, CSVParser.findGaps(records.map(record => record.timestamp)));
+        return { records, report };
+    }
+}
+
+window.ERA5Field = ERA5Field;
@@ -0,0 +1,330 @@
+// GRIBReader.js - Reads GRIB edition 1 files, the form ERA5 wave parameters come in from the CDS,
+// for fields on a regular latitude/longitude grid with simple packing. The messages are presented
+// like NetCDFReader variables: one per ERA5 short name on (time, latitude, longitude).
+
+// Number of set bits in each byte value, for counting bitmap entries
+const GRIB_BIT_COUNTS = Uint8Array.from({ length: 256 }, (_, value) => {
+    let count = 0;
+    for (let bits = value; bits > 0; bits >>= 1) count += bits & 1;
+    return count;
+});
+
+class GRIBReader {
+    /**
+     * @param {ArrayBuffer} buffer - The whole file
+     */
+    constructor(buffer) {
+        const format = NetCDFReader.detectFormat(buffer);
+        if (format !== 'grib') {
+            throw new Error(NetCDFReader.UNSUPPORTED[format] || 'Not a GRIB file');
+        }
+
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        const messages = this.readMessages();
+        if (messages.length === 0) {
+            throw new Error('No GRIB messages in the file');
+        }
+
+        // All fields share one grid, the coordinates are those of the first
+        this.grid = messages[0].grid;
+        if (messages.some(message => message.grid.key !== this.grid.key)) {
+            throw new Error('The GRIB file holds fields on different grids, request one area and grid from the CDS');
+        }
+
+        this.times = [...new Set(messages.map(message => message.time))].sort((a, b) => a - b);
+        this.variables = {};
+        messages.forEach(message => {
+            const { name, units } = message.parameter;
+            if (!this.variables[name]) {
+                this.variables[name] = { name, units, messages: new Array(this.times.length).fill(null) };
+            }
+            // The first message for a time counts, e.g. of ERA5 and ERA5T for the same hour
+            const index = this.times.indexOf(message.time);
+            this.variables[name].messages[index] = this.variables[name].messages[index] || message;
+        });
+    }
+
+    // ECMWF local parameter table 140 (wave model), number: { name, units }
+    static get PARAMETERS() {
+        return {
+            121: { name: 'swh1', units: 'm' },
+            122: { name: 'mwd1', units: 'degree true' },
+            123: { name: 'mwp1', units: 's' },
+            124: { name: 'swh2', units: 'm' },
+            125: { name: 'mwd2', units: 'degree true' },
+            126: { name: 'mwp2', units: 's' },
+            127: { name: 'swh3', units: 'm' },
+            128: { name: 'mwd3', units: 'degree true' },
+            129: { name: 'mwp3', units: 's' },
+            229: { name: 'swh', units: 'm' },
+            230: { name: 'mwd', units: 'degree true' },
+            231: { name: 'pp1d', units: 's' },
+            232: { name: 'mwp', units: 's' },
+            234: { name: 'shww', units: 'm' },
+            235: { name: 'mdww', units: 'degree true' },
+            236: { name: 'mpww', units: 's' },
+            237: { name: 'shts', units: 'm' },
+            238: { name: 'mdts', units: 'degree true' },
+            239: { name: 'mpts', units: 's' }
+        };
+    }
+
+    // Seconds per forecast time unit (GRIB1 code table 4)
+    static get TIME_UNITS() {
+        return { 0: 60, 1: 3600, 2: 86400, 10: 3 * 3600, 11: 6 * 3600, 12: 12 * 3600, 254: 1 };
+    }
+
+    // Unsigned big-endian integer of 1-4 bytes
+    readUint(offset, length) {
+        let value = 0;
+        for (let i = 0; i < length; i++) value = value * 256 + this.bytes[offset + i];
+        return value;
+    }
+
+    // GRIB1 signed integers keep the sign in the top bit rather than in two's complement
+    readSigned(offset, length) {
+        const value = this.readUint(offset, length);
+        const signBit = Math.pow(2, 8 * length - 1);
+        return value >= signBit ? signBit - value : value;
+    }
+
+    // IBM single precision float: sign, base-16 exponent excess 64, 24-bit fraction
+    readIBMFloat(offset) {
+        const word = this.view.getUint32(offset);
+        const sign = word >>> 31 ? -1 : 1;
+        const exponent = (word >>> 24) & 0x7F;
+        return sign * (word & 0xFFFFFF) / 0x1000000 * Math.pow(16, exponent - 64);
+    }
+
+    // Every message of the file, skipping bytes between them
+    readMessages() {
+        const messages = [];
+        let offset = 0;
+        while (offset + 8 <= this.bytes.length) {
+            if (this.readUint(offset, 4) !== 0x47524942) {  // 'GRIB'
+                offset++;
+                continue;
+            }
+            const edition = this.bytes[offset + 7];
+            if (edition !== 1) {
+                throw new Error(NetCDFReader.UNSUPPORTED.grib2);
+            }
+            const length = this.readUint(offset + 4, 3);
+            if (offset + length > this.bytes.length || this.readUint(offset + length - 4, 4) !== 0x37373737) {  // '7777'
+                throw new Error(`Malformed GRIB message at byte ${offset}, the file may be truncated`);
+            }
+            messages.push(this.readMessage(offset));
+            offset += length;
+        }
+        return messages;
+    }
+
+    /**
+     * Sections of one GRIB1 message, the data is only located here and read per point
+     * @returns {Object} { parameter, time, grid, bitmap, data, bits, reference, binaryScale, decimalScale }
+     */
+    readMessage(start) {
+        // Product definition section
+        const pds = start + 8;
+        const table = this.bytes[pds + 3];
+        const number = this.bytes[pds + 8];
+        const flags = this.bytes[pds + 7];
+        if (!(flags & 0x80)) {
+            throw new Error('GRIB messages without a grid description are not supported');
+        }
+        const parameter = (table === 140 && GRIBReader.PARAMETERS[number]) ||
+            { name: `param${table * 1000 + number}`, units: null };
+
+        const year = (this.bytes[pds + 24] - 1) * 100 + this.bytes[pds + 12];
+        const reference = Date.UTC(year, this.bytes[pds + 13] - 1, this.bytes[pds + 14],
+                                   this.bytes[pds + 15], this.bytes[pds + 16]);
+        const unit = GRIBReader.TIME_UNITS[this.bytes[pds + 17]];
+        if (!unit) {
+            throw new Error(`Unknown forecast time unit ${this.bytes[pds + 17]} in GRIB message ${parameter.name}`);
+        }
+        // Time range indicator: 10 has a two-byte P1, 2-5 cover P1 to P2, others are valid at P1
+        const timeRange = this.bytes[pds + 20];
+        const step = timeRange === 10 ? this.readUint(pds + 18, 2)
+            : timeRange >= 2 && timeRange <= 5 ? this.bytes[pds + 19]
+            : this.bytes[pds + 18];
+        const time = reference + step * unit * 1000;
+
+        // Grid description section
+        const gds = pds + this.readUint(pds, 3);
+        const grid = this.readGrid(gds);
+
+        // Bitmap section: a set bit for each point with a value, missing points are land or ice
+        let offset = gds + this.readUint(gds, 3);
+        let bitmap = null;
+        if (flags & 0x40) {
+            if (this.readUint(offset + 4, 2) !== 0) {
+                throw new Error('GRIB messages with a predefined bitmap are not supported');
+            }
+            bitmap = offset + 6;
+            offset += this.readUint(offset, 3);
+        }
+
+        // Binary data section
+        const packing = this.bytes[offset + 3];
+        if (packing & 0xD0) {
+            throw new Error(`GRIB message ${parameter.name} is not simple packed grid point data`);
+        }
+        return {
+            parameter,
+            time,
+            grid,
+            bitmap,
+            data: offset + 11,
+            bits: this.bytes[offset + 10],
+            reference: this.readIBMFloat(offset + 6),
+            binaryScale: Math.pow(2, this.readSigned(offset + 4, 2)),
+            decimalScale: Math.pow(10, -this.readSigned(pds + 26, 2)),
+            ranks: null
+        };
+    }
+
+    /**
+     * Regular latitude/longitude grid (GRIB1 data representation type 0), longitudes in
+     * ascending order whichever way the points are scanned
+     * @returns {Object} { ni, nj, latitudes, longitudes, westward, jConsecutive, key }
+     */
+    readGrid(gds) {
+        const type = this.bytes[gds + 5];
+        const ni = this.readUint(gds + 6, 2);
+        const nj = this.readUint(gds + 8, 2);
+        if (type !== 0) {
+            throw new Error(`GRIB grid type ${type} is not supported, request a regular latitude/longitude grid from the CDS`);
+        }
+        if (ni === 0xFFFF) {
+            throw new Error('Reduced GRIB grids are not supported, request a regular latitude/longitude grid from the CDS');
+        }
+
+        const la1 = this.readSigned(gds + 10, 3) / 1000;
+        const lo1 = this.readSigned(gds + 13, 3) / 1000;
+        const la2 = this.readSigned(gds + 17, 3) / 1000;
+        const lo2 = this.readSigned(gds + 20, 3) / 1000;
+        const scan = this.bytes[gds + 27];
+        const westward = Boolean(scan & 0x80);
+
+        const latStep = nj > 1 ? (la2 - la1) / (nj - 1) : 0;
+        const span = ((westward ? lo1 - lo2 : lo2 - lo1) % 360 + 360) % 360;
+        const lonStep = ni > 1 ? span / (ni - 1) : 0;
+        const west = westward ? lo1 - span : lo1;
+
+        return {
+            ni,
+            nj,
+            latitudes: Float64Array.from({ length: nj }, (_, j) => la1 + j * latStep),
+            longitudes: Float64Array.from({ length: ni }, (_, i) => west + i * lonStep),
+            westward,
+            jConsecutive: Boolean(scan & 0x20),
+            key: [ni, nj, la1, lo1, la2, lo2, scan].join(',')
+        };
+    }
+
+    // Entries set in the bitmap before a point, i.e. the point's position in the packed data.
+    // Counts per 64-byte block are kept with the message so a lookup scans at most one block.
+    countValuesBefore(message, point) {
+        const bitmapBytes = Math.ceil(message.grid.ni * message.grid.nj / 8);
+        if (!message.ranks) {
+            message.ranks = new Uint32Array(Math.ceil(bitmapBytes / 64) + 1);
+            for (let block = 0, count = 0; block * 64 < bitmapBytes; block++) {
+                message.ranks[block] = count;
+                const end = Math.min((block + 1) * 64, bitmapBytes);
+                for (let i = block * 64; i < end; i++) count += GRIB_BIT_COUNTS[this.bytes[message.bitmap + i]];
+            }
+        }
+        const byte = point >> 3;
+        let count = message.ranks[byte >> 6];
+        for (let i = byte & ~63; i < byte; i++) count += GRIB_BIT_COUNTS[this.bytes[message.bitmap + i]];
+        return count + GRIB_BIT_COUNTS[this.bytes[message.bitmap + byte] >> (8 - (point & 7))];
+    }
+
+    // Value at a grid point index of a message, NaN where the bitmap has none
+    readPoint(message, point) {
+        let position = point;
+        if (message.bitmap !== null) {
+            if (!(this.bytes[message.bitmap + (point >> 3)] & (0x80 >> (point & 7)))) return NaN;
+            position = this.countValuesBefore(message, point);
+        }
+
+        // Packed values are message.bits wide and need not start on a byte
+        let packed = 0;
+        let bit = position * message.bits;
+        for (let remaining = message.bits; remaining > 0;) {
+            const offset = bit & 7;
+            const take = Math.min(8 - offset, remaining);
+            const byte = this.bytes[message.data + (bit >> 3)];
+            packed = packed * (1 << take) + ((byte >> (8 - offset - take)) & ((1 << take) - 1));
+            bit += take;
+            remaining -= take;
+        }
+        return (message.reference + packed * message.binaryScale) * message.decimalScale;
+    }
+
+    hasVariable(name) {
+        return ['time', 'latitude', 'longitude'].includes(name) || name in this.variables;
+    }
+
+    getVariableInfo(name) {
+        const coordinates = { time: this.times.length, latitude: this.grid.nj, longitude: this.grid.ni };
+        if (name in coordinates) {
+            return { name, dimensions: [name], shape: [coordinates[name]] };
+        }
+        const variable = this.variables[name];
+        if (!variable) {
+            throw new Error(`No variable ${name} in the GRIB file`);
+        }
+        return {
+            name,
+            dimensions: ['time', 'latitude', 'longitude'],
+            shape: [this.times.length, this.grid.nj, this.grid.ni]
+        };
+    }
+
+    /**
+     * All values of a variable, times in seconds since 1970
+     * @returns {Float64Array} Values in row-major order of the variable's dimensions
+     */
+    getValues(name) {
+        if (name === 'time') return Float64Array.from(this.times, time => time / 1000);
+        if (name === 'latitude') return Float64Array.from(this.grid.latitudes);
+        if (name === 'longitude') return Float64Array.from(this.grid.longitudes);
+
+        const [times, nj, ni] = this.getVariableInfo(name).shape;
+        const values = new Float64Array(times * nj * ni);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = this.getValue(name, [Math.floor(i / (nj * ni)), Math.floor(i / ni) % nj, i % ni]);
+        }
+        return values;
+    }
+
+    /**
+     * One value of a variable without decoding the rest of its field
+     * @param {string} name
+     * @param {Array} indices - Index along each dimension of the variable
+     */
+    getValue(name, indices) {
+        if (indices.length === 1) return this.getValues(name)[indices[0]];
+
+        const [time, j, i] = indices;
+        this.getVariableInfo(name);  // Throws for a variable not in the file
+        const message = this.variables[name].messages[time];
+        if (!message) return NaN;
+        const { ni, nj, westward, jConsecutive } = this.grid;
+        const column = westward ? ni - 1 - i : i;
+        return this.readPoint(message, jConsecutive ? column * nj + j : j * ni + column);
+    }
+
+    // Units of a variable, null if not known
+    getAttribute(name, attribute) {
+        if (attribute !== 'units') return null;
+        if (name === 'time') return 'seconds since 1970-01-01 00:00:00';
+        if (name === 'latitude') return 'degrees_north';
+        if (name === 'longitude') return 'degrees_east';
+        return this.variables[name] ? this.variables[name].units : null;
+    }
+}
+
+window.GRIBReader = GRIBReader;
@@ -1,12 +1,43 @@
 class JonswapSpectrum {
-    constructor() {
+    /**
+     * @param {Object} [options] - Spectrum settings, see setOptions() for the keys
+     */
+    constructor(options = {}) {
         this.data = [];
         this.chart = null;
         this.latestSpectrum = null;  // Store latest spectrum data
+        this.latestReading = null;   // Sea state the latest spectrum was built from
+        this.options = { ...JonswapSpectrum.DEFAULT_OPTIONS, ...options };
         // Add EventTarget functionality
         this.eventTarget = new EventTarget();
     }
 
+    static get DEFAULT_OPTIONS() {
+        return {
+            spectrumType: 'jonswap', // 'jonswap', 'pierson-moskowitz', 'bretschneider' or 'torsethaugen'
+            gamma: 3.3,              // JONSWAP peak enhancement factor
+            gammaMode: 'fixed',      // 'fixed' uses gamma, 'dnv' derives it from Hs/Tp (DNV-RP-C205)
+            sigmaA: 0.07,            // Spectral width for ω <= ωp
+            sigmaB: 0.09,            // Spectral width for ω > ωp
+            omegaMin: 0.01,          // Frequency grid (rad/s)
+            omegaMax: 6.0,
+            omegaStep: 0.01,
+            usePartitions: true,     // Superpose wind-sea and swell partitions when the sea state has them
+            spreading: 'cos-2s',     // Directional spreading: 'cos-2s', 'cos-n' or 'none' (long-crested)
+            spreadingDirections: 24, // Number of discrete wave directions per partition
+            spreadingExponents: {}   // { wind, swell } overrides of DirectionalSpreading.DEFAULT_EXPONENTS
+        };
+    }
+
+    static get SPECTRUM_NAMES() {
+        return {
+            'jonswap': 'JONSWAP',
+            'pierson-moskowitz': 'Pierson-Moskowitz',
+            'bretschneider': 'Bretschneider (ITTC)',
+            'torsethaugen': 'Torsethaugen'
+        };
+    }
+
     // Add event listener method
     addEventListener(type, listener) {
         this.eventTarget.addEventListener(type, listener);
@@ -22,45 +53,198 @@ class JonswapSpectrum {
         return this.eventTarget.dispatchEvent(event);
     }
 
-    // Calculate JONSWAP spectrum using wave parameters with iterative alpha
+    // Change spectrum settings and rebuild the latest spectrum with them
+    setOptions(options) {
+        const spectrumType = options.spectrumType || this.options.spectrumType;
+        if (!JonswapSpectrum.SPECTRUM_NAMES[spectrumType]) {
+            throw new Error(`Unknown spectrum type: ${spectrumType}`);
+        }
+        this.options = { ...this.options, ...options };
+        if (this.latestReading) {
+            this.update(this.latestReading);
+        }
+    }
+
+    // Angular frequency grid (rad/s) from the options
+    getFrequencyGrid() {
+        const { omegaMin, omegaMax, omegaStep } = this.options;
+        const count = Math.floor((omegaMax - omegaMin) / omegaStep + 1e-9) + 1;
+        return Array.from({ length: count }, (_, i) => omegaMin + i * omegaStep);
+    }
+
+    // Peak enhancement factor, fixed or from DNV-RP-C205 3.5.5.5 based on Tp/sqrt(Hs)
+    getGamma(Hs, Tp) {
+        if (this.options.gammaMode !== 'dnv') {
+            return this.options.gamma;
+        }
+        const phi = Tp / Math.sqrt(Hs);
+        if (phi <= 3.6) return 5;
+        if (phi >= 5) return 1;
+        return Math.exp(5.75 - 1.15 * phi);
+    }
+
+    // Peak period the chosen shape ends up with (Pierson-Moskowitz sets its own from Hs)
+    getPeakPeriod(Hs, Tp) {
+        if (this.options.spectrumType === 'pierson-moskowitz') {
+            return 2 * Math.PI / (0.4 * Math.sqrt(9.81 / Hs));
+        }
+        return Tp;
+    }
+
+    // Period of the given type (see SeaState.PERIOD_TYPES) from the moments of S(ω)
+    calculateSpectralPeriod(omega, densities, periodType) {
+        const moment = n => this.trapezoidalIntegration(omega, densities.map((S, i) => Math.pow(omega[i], n) * S));
+        switch (periodType) {
+            case 'Tm01':
+                return 2 * Math.PI * moment(0) / moment(1);
+            case 'Tm02':
+                return 2 * Math.PI * Math.sqrt(moment(0) / moment(2));
+            case 'Tm-10':
+                return 2 * Math.PI * moment(-1) / moment(0);
+            default: {
+                const peak = densities.reduce((best, S, i) => S > densities[best] ? i : best, 0);
+                return 2 * Math.PI / omega[peak];
+            }
+        }
+    }
+
+    /**
+     * Peak period for which the selected shape has the given measured period. The ratio
+     * of a mean period to Tp depends on the shape and gamma (and on Hs for DNV gamma and
+     * Torsethaugen), so Tp is found by fixed-point iteration on the spectrum itself.
+     * @param {number} Hs - Significant wave height (m)
+     * @param {number} period - Measured period (s)
+     * @param {string} periodType - 'Tm01', 'Tm02', 'Tm-10' or 'Tp'
+     * @returns {number} Peak period Tp (s)
+     */
+    convertToPeakPeriod(Hs, period, periodType) {
+        // Pierson-Moskowitz takes its peak from Hs, any period is ignored
+        if (periodType === 'Tp' || this.options.spectrumType === 'pierson-moskowitz') {
+            return period;
+        }
+        const omega = this.getFrequencyGrid();
+        const maxIter = 20;
+        const tolerance = 1e-4;
+        // Keep Tp within a physical range of the measured period
+        const minTp = 0.5 * period;
+        const maxTp = 3 * period;
+        let Tp = period;
+        let best = { Tp, error: Infinity };
+
+        for (let iter = 0; iter < maxIter; iter++) {
+            const modelPeriod = this.calculateSpectralPeriod(omega, this.calculateDensities(omega, Hs, Tp), periodType);
+            const ratio = period / modelPeriod;
+            if (Math.abs(ratio - 1) < best.error) {
+                best = { Tp, error: Math.abs(ratio - 1) };
+            }
+            if (best.error < tolerance) {
+                return Tp;
+            }
+            Tp = Math.min(Math.max(Tp * ratio, minTp), maxTp);
+        }
+
+        // Double-peaked shapes cannot reach every mean period, use the closest match
+        console.warn(`${periodType} = ${period.toFixed(2)} s not matched by ${this.options.spectrumType} ` +
+            `(Hs = ${Hs.toFixed(2)} m), using Tp = ${best.Tp.toFixed(2)} s`);
+        return best.Tp;
+    }
+
+    // Calculate the selected wave spectrum for the given wave parameters
     calculateSpectrum(Hs, Tp) {
-        const g = 9.81;  // gravitational acceleration
-        const gamma = 3.3;  // peak enhancement factor
-        
-        // Generate angular frequency range (rad/s)
-        const omega = [];
-        for(let w = 0.01; w <= 6.0; w += 0.01) {
-            omega.push(w);
+        const omega = this.getFrequencyGrid();
+        const densities = this.calculateDensities(omega, Hs, Tp);
+        return omega.map((w, i) => ({ x: w, y: densities[i] }));
+    }
+
+    // Spectral densities S(ω) [m²/(rad/s)] of the selected shape on the grid omega
+    calculateDensities(omega, Hs, Tp) {
+        switch (this.options.spectrumType) {
+            case 'pierson-moskowitz':
+                return this.calculatePiersonMoskowitz(omega, Hs);
+            case 'bretschneider':
+                return this.calculateBretschneider(omega, Hs, Tp);
+            case 'torsethaugen':
+                return this.calculateTorsethaugen(omega, Hs, Tp);
+            default:
+                return this.calculateJonswap(omega, Hs, Tp, this.getGamma(Hs, Tp));
         }
-        
+    }
+
+    // Calculate JONSWAP spectrum using wave parameters with iterative alpha
+    calculateJonswap(omega, Hs, Tp, gamma) {
+        const g = 9.81;  // gravitational acceleration
         // Calculate alpha iteratively to match desired Hs
         const alpha = this.calculateAlphaIterative(omega, Hs, Tp, gamma, g);
-        
-        const spectrum = [];
-        const omega_p = 2 * Math.PI / Tp;  // peak angular frequency
-        
-        for(let i = 0; i < omega.length; i++) {
-            const w = omega[i];
-            
-            // Calculate sigma (spectral width parameter)
-            const sigma = (w <= omega_p) ? 0.07 : 0.09;
-            
-            // JONSWAP formula components
-            const exp1 = Math.exp(-1.25 * Math.pow(omega_p/w, 4));
-            const exp2 = Math.exp(-Math.pow(w - omega_p, 2) / 
-                                (2 * Math.pow(sigma * omega_p, 2)));
-            
-            // Calculate spectrum value with iteratively determined alpha
-            const S = alpha * Math.pow(g, 2) * Math.pow(w, -5) * 
-                     exp1 * Math.pow(gamma, exp2);
-            
-            spectrum.push({
-                x: w,
-                y: S
-            });
+        return this.computeSpectrumWithAlpha(omega, alpha, Tp, gamma, g);
+    }
+
+    // Fully developed Pierson-Moskowitz sea: one parameter, the peak follows from Hs
+    calculatePiersonMoskowitz(omega, Hs) {
+        const g = 9.81;
+        const alpha = 0.0081;
+        const omega_p = 0.4 * Math.sqrt(g / Hs);
+        return omega.map(w => alpha * g * g * Math.pow(w, -5) * Math.exp(-1.25 * Math.pow(omega_p / w, 4)));
+    }
+
+    // Bretschneider / ITTC two-parameter spectrum in terms of Hs and Tp
+    calculateBretschneider(omega, Hs, Tp) {
+        const omega_p = 2 * Math.PI / Tp;
+        return omega.map(w => 5 / 16 * Hs * Hs * Math.pow(omega_p, 4) * Math.pow(w, -5) *
+            Math.exp(-1.25 * Math.pow(omega_p / w, 4)));
+    }
+
+    /**
+     * Simplified Torsethaugen double-peaked spectrum (DNV-RP-C205 3.5.7). The sea is split
+     * into a wind sea and a swell component depending on whether Tp is below or above
+     * the fully developed peak period Tf = 6.6·Hs^(1/3); each component is a JONSWAP-type
+     * peak with an ω⁻⁴ tail, scaled to its share of the energy.
+     */
+    calculateTorsethaugen(omega, Hs, Tp) {
+        const g = 9.81;
+        const af = 6.6, ae = 2.0, au = 25, a10 = 0.7, a1 = 0.5, kg = 35, b1 = 2.0;
+        const a20 = 0.6, a2 = 0.3, a3 = 6;
+        const Tf = af * Math.pow(Hs, 1 / 3);
+        const clamp01 = x => Math.min(Math.max(x, 0), 1);
+        let components;
+
+        if (Tp <= Tf) {
+            // Wind dominated: primary wind sea at Tp, secondary swell
+            const Tl = ae * Math.sqrt(Hs);
+            const eps = clamp01((Tf - Tp) / (Tf - Tl));
+            const rpw = (1 - a10) * Math.exp(-Math.pow(eps / a1, 2)) + a10;
+            const Hw = rpw * Hs;
+            const gamma = Math.max(kg * Math.pow(2 * Math.PI / g * Hw / (Tp * Tp), 6 / 7), 1);
+            components = [
+                { Hs: Hw, Tp, gamma },
+                { Hs: Math.sqrt(1 - rpw * rpw) * Hs, Tp: Tf + b1, gamma: 1 }
+            ];
+        } else {
+            // Swell dominated: primary swell at Tp, secondary wind sea
+            const eps = clamp01((Tp - Tf) / (au - Tf));
+            const rps = (1 - a20) * Math.exp(-Math.pow(eps / a2, 2)) + a20;
+            const Hsw = rps * Hs;
+            const Hw = Math.sqrt(1 - rps * rps) * Hs;
+            const gamma = Math.max(kg * Math.pow(2 * Math.PI / g * Hs / (Tf * Tf), 6 / 7) * (1 + a3 * eps), 1);
+            components = [
+                { Hs: Hsw, Tp, gamma },
+                { Hs: Hw, Tp: af * Math.pow(Hw, 1 / 3), gamma: 1 }
+            ];
         }
-        
-        return spectrum;
+
+        const total = omega.map(() => 0);
+        components.filter(c => c.Hs > 0).forEach(c => {
+            const omega_p = 2 * Math.PI / c.Tp;
+            const shape = omega.map(w => {
+                const sigma = (w <= omega_p) ? this.options.sigmaA : this.options.sigmaB;
+                const r = w / omega_p;
+                return Math.pow(r, -4) * Math.exp(-Math.pow(r, -4)) *
+                    Math.pow(c.gamma, Math.exp(-Math.pow(r - 1, 2) / (2 * sigma * sigma)));
+            });
+            // Scale so the component holds m0 = Hs²/16
+            const scale = c.Hs * c.Hs / 16 / this.trapezoidalIntegration(omega, shape);
+            shape.forEach((value, i) => { total[i] += scale * value; });
+        });
+        return total;
     }
 
     // New method: Calculate alpha iteratively to match target Hs
@@ -101,8 +285,10 @@ class JonswapSpectrum {
         
         for(let i = 0; i < omega.length; i++) {
             const w = omega[i];
-            const sigma = (w <= omega_p) ? 0.07 : 0.09;
+            // Calculate sigma (spectral width parameter)
+            const sigma = (w <= omega_p) ? this.options.sigmaA : this.options.sigmaB;
             
+            // JONSWAP formula components
             const exp1 = Math.exp(-1.25 * Math.pow(omega_p/w, 4));
             const exp2 = Math.exp(-Math.pow(w - omega_p, 2) / 
                                 (2 * Math.pow(sigma * omega_p, 2)));
@@ -202,17 +388,67 @@ class JonswapSpectrum {
     getSpectrum() {
         return {
             frequencies: this.latestSpectrum ? this.latestSpectrum.map(point => point.x) : [],
-            spectralDensities: this.latestSpectrum ? this.latestSpectrum.map(point => point.y) : []
+            spectralDensities: this.latestSpectrum ? this.latestSpectrum.map(point => point.y) : [],
+            // Per-partition spectra with their own mean direction
+            components: this.latestComponents || []
         };
     }
 
+    // Partitions are built individually unless switched off; Torsethaugen already models
+    // wind sea and swell from the combined Hs/Tp, so it always uses the combined sea
+    usesPartitions() {
+        return this.options.usePartitions && this.options.spectrumType !== 'torsethaugen';
+    }
+
+    /**
+     * Spectrum of a whole sea state: one spectrum per wind-sea/swell partition, superposed
+     * @param {SeaState|Object} seaState - Sensor1 reading
+     * @returns {Object} { frequencies, spectralDensities, components }, each component is
+     *                   { name, type, waveHeight, wavePeriod, periodType, peakPeriod, waveDirection,
+     *                   spectralDensities, directions }, peakPeriod being the Tp derived from the
+     *                   measured wavePeriod and directions { direction, weight } so that
+     *                   S(ω,θ) = spectralDensities · weight
+     */
+    calculateSeaStateSpectrum(seaState) {
+        const frequencies = this.getFrequencyGrid();
+        const spreading = new DirectionalSpreading({
+            type: this.options.spreading,
+            count: this.options.spreadingDirections
+        });
+        const components = SeaState.fromReading(seaState)
+            .getComponents(this.usesPartitions())
+            .map(component => {
+                const peakPeriod = this.convertToPeakPeriod(component.waveHeight, component.wavePeriod, component.periodType || 'Tp');
+                return {
+                    ...component,
+                    peakPeriod,
+                    spectralDensities: this.calculateDensities(frequencies, component.waveHeight, peakPeriod),
+                    directions: spreading.getDirections(component.waveDirection, this.getSpreadingExponent(spreading, component.type))
+                };
+            });
+        const spectralDensities = frequencies.map((_, i) =>
+            components.reduce((sum, component) => sum + component.spectralDensities[i], 0));
+        return { frequencies, spectralDensities, components };
+    }
+
+    // Spreading exponent (s or n) for a partition type, the combined sea spreads like wind sea
+    getSpreadingExponent(spreading, partitionType) {
+        if (spreading.type === 'none') return null;
+        const key = partitionType === 'swell' ? 'swell' : 'wind';
+        const override = this.options.spreadingExponents[key];
+        return override !== undefined ? override : spreading.getDefaultExponent(partitionType);
+    }
+
     // Update spectrum with new sensor data
     update(sensorReading) {
         const Hs = sensorReading.waveHeight;
-        const Tp = sensorReading.wavePeriod;
+        const periodType = SeaState.fromReading(sensorReading).periodType;
         
         // Calculate spectrum and store it
-        this.latestSpectrum = this.calculateSpectrum(Hs, Tp);
+        const seaStateSpectrum = this.calculateSeaStateSpectrum(sensorReading);
+        this.latestSpectrum = seaStateSpectrum.frequencies.map((w, i) => ({ x: w, y: seaStateSpectrum.spectralDensities[i] }));
+        this.latestComponents = seaStateSpectrum.components;
+        this.latestReading = sensorReading;
         
         // Robust timestamp formatting
         let timestamp = '';
@@ -233,14 +469,51 @@ class JonswapSpectrum {
             timestamp = String(sensorReading.timestamp || '');
         }
         
-        // Calculate peak frequency
-        const peakOmega = (2 * Math.PI) / Tp;
-        const spectrum = this.calculateSpectrum(Hs, Tp);
+        // Calculate peak frequency, for several partitions the peak of their sum
+        const components = this.latestComponents;
+        let peakOmega = (2 * Math.PI) / this.getPeakPeriod(Hs, components[0].peakPeriod);
+        if (components.length > 1) {
+            peakOmega = this.latestSpectrum.reduce((max, point) => point.y > max.y ? point : max).x;
+        }
+        const peakPeriod = (2 * Math.PI) / peakOmega;
         if (this.chart) {
-            this.chart.data.datasets[0].data = this.latestSpectrum;
+            const name = JonswapSpectrum.SPECTRUM_NAMES[this.options.spectrumType];
+            let gammaText = '';
+            if (this.options.spectrumType === 'jonswap') {
+                gammaText = components.length === 1 || this.options.gammaMode !== 'dnv'
+                    ? `, γ = ${this.getGamma(components[0].waveHeight, components[0].peakPeriod).toFixed(2)}`
+                    : ', γ per partition (DNV)';
+            }
+            const partitionText = components.length > 1 ? `, ${components.length} partitions` : '';
+            // Measured period next to the peak period it was converted to
+            const periodText = periodType === 'Tp'
+                ? `Tₚ = ${peakPeriod.toFixed(2)} s`
+                : `${periodType} = ${sensorReading.wavePeriod.toFixed(2)} s → Tₚ = ${peakPeriod.toFixed(2)} s`;
+            this.chart.data.datasets = [{
+                label: `${name} Spectrum`,
+                data: this.latestSpectrum,
+                borderColor: 'rgb(75, 192, 192)',
+                tension: 0.4,
+                fill: false
+            }];
+            // Individual partitions as dashed lines when there is more than one
+            if (components.length > 1) {
+                components.forEach((component, index) => {
+                    this.chart.data.datasets.push({
+                        label: `${component.name} (${component.waveDirection.toFixed(0)}°)`,
+                        data: this.latestSpectrum.map((point, i) => ({ x: point.x, y: component.spectralDensities[i] })),
+                        borderColor: `hsl(${index * 360 / components.length}, 60%, 50%)`,
+                        borderWidth: 1,
+                        borderDash: [4, 4],
+                        pointRadius: 0,
+                        tension: 0.4,
+                        fill: false
+                    });
+                });
+            }
             this.chart.options.plugins.title.text = [
-                'JONSWAP Wave Spectrum',
-                `Hₛ = ${Hs.toFixed(2)} m, Tₚ = ${Tp.toFixed(2)} s, DateTime = ${timestamp}`
+                `${name} Wave Spectrum`,
+                `Hₛ = ${Hs.toFixed(2)} m, ${periodText}${gammaText}${partitionText}, DateTime = ${timestamp}`
             ];
             this.chart.options.plugins.annotation.annotations.peakLine.xMin = peakOmega;
             this.chart.options.plugins.annotation.annotations.peakLine.xMax = peakOmega;
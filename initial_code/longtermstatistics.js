@@ -0,0 +1,282 @@
+// LongTermStatistics.js - Batch analysis of a whole sea state record: Hs-Tp scatter diagram,
+// MSDV/MSI exceedance and monthly percentiles per ship position
+class LongTermStatistics {
+    constructor() {
+        this.records = [];          // { timestamp, waveHeight, peakPeriod, speed, heading, msdv, msi }
+        this.skipped = 0;           // Sea states without a vessel reading
+        this.exposureTime = null;
+        this.running = false;
+        this.hsBin = 0.5;           // Scatter diagram bin widths (m, s)
+        this.tpBin = 1;
+        this.percentiles = [50, 90, 95];
+    }
+
+    static get METRICS() {
+        return {
+            msdv: { label: 'MSDV', unit: 'm/s¹·⁵', digits: 1 },
+            msi: { label: 'MSI (ISO 2631-1)', unit: '%', digits: 1 }
+        };
+    }
+
+    /**
+     * Run every sea state through the spectrum and response pipeline with the vessel speed
+     * and heading in force at its time; sea states without a vessel reading within the hour
+     * are skipped
+     * @param {Array} seaStates - SeaState readings, e.g. the loaded ERA5 data
+     * @param {Array} vesselReadings - { timestamp, speed, heading } readings
+     * @param {Function} [onProgress] - Called with (done, total) while running
+     * @returns {Promise<Array>} One record per analysed sea state, MSDV and ISO MSI per position
+     */
+    async analyse(seaStates, vesselReadings, onProgress) {
+        await window.raoStore.whenReady();
+        this.running = true;
+
+        const psd = window.powerSpectralDensity;
+        const records = [];
+        let skipped = 0;
+
+        try {
+            for (let i = 0; i < seaStates.length; i++) {
+                const seaState = seaStates[i];
+                const vessel = Sensor2.findReadingAt(vesselReadings, seaState.timestamp);
+                if (!vessel) {
+                    skipped++;
+                    continue;
+                }
+
+                const spectrum = window.jonswapSpectrum.calculateSeaStateSpectrum(seaState);
+                const response = psd.computeResponse(spectrum, vessel.speed, vessel.heading);
+                records.push({
+                    timestamp: seaState.timestamp,
+                    waveHeight: seaState.waveHeight,
+                    peakPeriod: this.getPeakPeriod(spectrum),
+                    speed: vessel.speed,
+                    heading: vessel.heading,
+                    msdv: response.msdvValues,
+                    msi: response.msiValues.iso
+                });
+
+                if (onProgress) onProgress(i + 1, seaStates.length);
+                // Keep the page responsive during the analysis
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.records = records;
+        this.skipped = skipped;
+        this.exposureTime = psd.T_exp;
+        return records;
+    }
+
+    // Peak period (s) of the total spectrum, all partitions together
+    getPeakPeriod({ frequencies, spectralDensities }) {
+        let peak = 0;
+        spectralDensities.forEach((density, i) => {
+            if (density > spectralDensities[peak]) peak = i;
+        });
+        return 2 * Math.PI / frequencies[peak];
+    }
+
+    /**
+     * Hs-Tp scatter diagram: number of sea states per Hs and Tp bin
+     * @returns {Object} { hsEdges, tpEdges, counts } with counts[hs bin][tp bin]
+     */
+    getScatterDiagram() {
+        const edges = (values, width) => {
+            const count = Math.max(1, Math.ceil(Math.max(...values) / width + 1e-9));
+            return Array.from({ length: count + 1 }, (_, i) => i * width);
+        };
+        const hsEdges = edges(this.records.map(record => record.waveHeight), this.hsBin);
+        const tpEdges = edges(this.records.map(record => record.peakPeriod), this.tpBin);
+        const counts = hsEdges.slice(1).map(() => tpEdges.slice(1).map(() => 0));
+
+        this.records.forEach(({ waveHeight, peakPeriod }) => {
+            const i = Math.min(Math.floor(waveHeight / this.hsBin), counts.length - 1);
+            const j = Math.min(Math.floor(peakPeriod / this.tpBin), counts[0].length - 1);
+            counts[i][j]++;
+        });
+
+        // Only the Tp range that occurs
+        const used = tpEdges.slice(1).map((_, j) => counts.some(row => row[j] > 0));
+        const first = used.indexOf(true);
+        const last = used.lastIndexOf(true);
+        return {
+            hsEdges,
+            tpEdges: tpEdges.slice(first, last + 2),
+            counts: counts.map(row => row.slice(first, last + 1))
+        };
+    }
+
+    /**
+     * Probability that a metric is exceeded, from the sorted values (Weibull plotting position)
+     * @param {string} metric - 'msdv' or 'msi'
+     * @param {string} position - Ship position name
+     * @returns {Object} { values, exceedance } with exceedance in %
+     */
+    getExceedance(metric, position) {
+        const values = this.records.map(record => record[metric][position]).sort((a, b) => a - b);
+        const n = values.length;
+        return {
+            values,
+            exceedance: values.map((_, i) => 100 * (n - i) / (n + 1))
+        };
+    }
+
+    // Percentile p (0-100) of sorted values, linear between order statistics
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const index = p / 100 * (sorted.length - 1);
+        const lower = Math.floor(index);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (index - lower) * (sorted[upper] - sorted[lower]);
+    }
+
+    /**
+     * Percentiles of a metric per calendar month (UTC) and position
+     * @param {string} metric - 'msdv' or 'msi'
+     * @param {Array} positions - Position names
+     * @returns {Array} { month: 'YYYY-MM', count, values: { position: [percentiles] } }
+     */
+    getMonthlyPercentiles(metric, positions) {
+        const months = new Map();
+        this.records.forEach(record => {
+            const month = record.timestamp.toISOString().slice(0, 7);
+            if (!months.has(month)) months.set(month, []);
+            months.get(month).push(record);
+        });
+
+        return [...months.keys()].sort().map(month => {
+            const records = months.get(month);
+            const values = {};
+            positions.forEach(position => {
+                const sorted = records.map(record => record[metric][position]).sort((a, b) => a - b);
+                values[position] = this.percentiles.map(p => LongTermStatistics.percentile(sorted, p));
+            });
+            return { month, count: records.length, values };
+        });
+    }
+
+    // Render the Hs-Tp scatter diagram as a table, Hs rows from high to low
+    renderScatterTable(elementId) {
+        const element = document.getElementById(elementId);
+        if (!element || this.records.length === 0) return;
+
+        const { hsEdges, tpEdges, counts } = this.getScatterDiagram();
+        const tpLabels = tpEdges.slice(1).map((edge, j) => `${tpEdges[j]}-${edge}`);
+        const rows = counts.map((row, i) => ({ row, label: `${hsEdges[i].toFixed(1)}-${hsEdges[i + 1].toFixed(1)}` }))
+            .filter(({ row }) => row.some(count => count > 0))
+            .reverse()
+            .map(({ row, label }) => `<tr>
+                <td>${label}</td>
+                ${row.map(count => `<td>${count > 0 ? count : ''}</td>`).join('')}
+                <td>${row.reduce((sum, count) => sum + count, 0)}</td>
+            </tr>`);
+        const columnTotals = tpLabels.map((_, j) => counts.reduce((sum, row) => sum + row[j], 0));
+
+        element.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Hs [m] \\ Tp [s]</th>${tpLabels.map(label => `<th>${label}</th>`).join('')}<th>Total</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.join('')}
+                    <tr><td>Total</td>${columnTotals.map(total => `<td>${total}</td>`).join('')}<td>${this.records.length}</td></tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Plot the exceedance curve of every displayed position
+    renderExceedanceChart(elementId, metric = 'msdv') {
+        const element = document.getElementById(elementId);
+        if (!element || this.records.length === 0) return;
+
+        const { label, unit } = LongTermStatistics.METRICS[metric];
+        const traces = window.powerSpectralDensity.displayPositions.map(({ name }) => {
+            const { values, exceedance } = this.getExceedance(metric, name);
+            return { x: values, y: exceedance, type: 'scatter', mode: 'lines', name };
+        });
+
+        const layout = {
+            xaxis: {
+                title: `${label} [${unit}] over ${(this.exposureTime / 3600).toFixed(1)} h`,
+                showgrid: true,
+                gridcolor: 'rgba(128, 128, 128, 0.2)'
+            },
+            yaxis: {
+                title: 'Probability of exceedance [%]',
+                type: 'log',
+                showgrid: true,
+                gridcolor: 'rgba(128, 128, 128, 0.2)'
+            },
+            margin: { l: 60, r: 50, t: 20, b: 50 },
+            height: 450,
+            showlegend: true,
+            legend: { x: 1, xanchor: 'right', y: 1 }
+        };
+
+        // The positions depend on the vessel, so redraw rather than update
+        Plotly.react(elementId, traces, layout);
+    }
+
+    // Render the monthly percentiles of the displayed positions
+    renderMonthlyTable(elementId, metric = 'msdv') {
+        const element = document.getElementById(elementId);
+        if (!element || this.records.length === 0) return;
+
+        const { label, unit, digits } = LongTermStatistics.METRICS[metric];
+        const positions = window.powerSpectralDensity.displayPositions.map(position => position.name);
+        const rows = this.getMonthlyPercentiles(metric, positions).map(({ month, count, values }) => `<tr>
+            <td>${month}</td>
+            <td>${count}</td>
+            ${positions.map(position => `<td>${values[position].map(value => value.toFixed(digits)).join(' / ')}</td>`).join('')}
+        </tr>`);
+
+        element.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        <th>Sea states</th>
+                        ${positions.map(position => `<th>${position}</th>`).join('')}
+                    </tr>
+                    <tr>
+                        <th colspan="${positions.length + 2}">${label} [${unit}], P${this.percentiles.join(' / P')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // Records as CSV, one row per sea state with MSDV and MSI columns per position
+    toCSV() {
+        const positions = window.powerSpectralDensity.shipPositions.map(position => position.name);
+        const header = [
+            'timestamp', 'Hs_m', 'Tp_s', 'speed_kn', 'heading_deg',
+            ...positions.map(position => `MSDV ${position}`),
+            ...positions.map(position => `MSI ${position}`)
+        ];
+        const rows = this.records.map(record => [
+            record.timestamp.toISOString(),
+            record.waveHeight.toFixed(2),
+            record.peakPeriod.toFixed(2),
+            record.speed.toFixed(1),
+            record.heading.toFixed(0),
+            ...positions.map(position => record.msdv[position].toFixed(3)),
+            ...positions.map(position => record.msi[position].toFixed(3))
+        ]);
+        return [header, ...rows].map(row => row.join(',')).join('\n');
+    }
+}
+
+// Create global instance
+window.LongTermStatistics = LongTermStatistics;
+window.longTermStatistics = new LongTermStatistics();
+
+// Results of another vessel no longer apply
+window.vesselProfiles.addEventListener('profileChanged', () => {
+    window.longTermStatistics.records = [];
+});
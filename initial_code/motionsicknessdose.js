@@ -0,0 +1,130 @@
+// MotionSicknessDose.js - Motion sickness dose value and incidence per ship position
+class MotionSicknessDose {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.Km=1/3] - ISO 2631-1 constant, 1/3 for a mixed population of
+     *                                    unadapted male and female adults
+     * @param {number} [options.maxInterval=3600] - Longest gap (s) between readings that is
+     *                                              counted as exposure, longer gaps are data gaps
+     */
+    constructor({ Km = 1 / 3, maxInterval = 3600 } = {}) {
+        this.Km = Km;
+        this.maxInterval = maxInterval;
+        this.reset();
+    }
+
+    // Start a new voyage: clears the accumulated dose
+    reset() {
+        this.doses = {};        // ∫a_w² dt per position [m²/s³]
+        this.vdvDoses = {};     // Σ eVDV⁴ per position from Wk-weighted RMS [m⁴/s⁷]
+        this.elapsed = 0;       // Accumulated exposure time (s)
+        this.lastTime = null;   // Time of the latest reading (ms)
+        this.lastRMS = null;    // Weighted RMS accelerations in force since lastTime
+        this.lastWkRMS = null;  // Wk-weighted RMS accelerations in force since lastTime
+    }
+
+    /**
+     * MSDV for a constant sea state, MSDV = a_w,rms·√T (ISO 2631-1 Annex D)
+     * @param {number} rms - Wf-weighted RMS vertical acceleration (m/s²)
+     * @param {number} exposureTime - Exposure time (s)
+     * @returns {number} MSDV (m/s^1.5)
+     */
+    static calculateMSDV(rms, exposureTime) {
+        return rms * Math.sqrt(exposureTime);
+    }
+
+    /**
+     * Percentage of people who may vomit, MSI = Km·MSDV (ISO 2631-1 Annex D)
+     * @param {number} msdv - Motion sickness dose value (m/s^1.5)
+     * @returns {number} MSI (%)
+     */
+    calculateIncidence(msdv) {
+        return Math.min(this.Km * msdv, 100);
+    }
+
+    /**
+     * Percentage of people who may vomit after O'Hanlon & McCauley (1974), in the form of
+     * McCauley et al. (1976). Uses the unweighted RMS vertical acceleration at a dominant
+     * frequency and is only valid for roughly 0.08-0.7 Hz.
+     * @param {number} rms - Unweighted RMS vertical acceleration (m/s²)
+     * @param {number} frequency - Dominant frequency of the motion (Hz)
+     * @param {number} exposureTime - Exposure time (s)
+     * @returns {number} MSI (%)
+     */
+    static calculateOHanlonIncidence(rms, frequency, exposureTime) {
+        if (!(rms > 0) || !(frequency > 0) || !(exposureTime > 0)) return 0;
+        const logA = Math.log10(rms / 9.81);
+        const logF = Math.log10(frequency);
+        const logT = Math.log10(exposureTime / 60);
+        const zA = 2.128 * logA - 9.277 * logF - 5.809 * logF * logF - 1.851;
+        const zT = 1.134 * zA + 1.989 * logT - 2.904;
+        return 100 * MotionSicknessDose.normalCDF(zA) * MotionSicknessDose.normalCDF(zT);
+    }
+
+    // Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+    static normalCDF(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-x * x);
+        return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+    }
+
+    /**
+     * Add the exposure since the previous reading to the voyage dose. The RMS values of a
+     * reading hold until the next one, so MSDV = (Σ a_w,rms²·Δt)^½ over successive sea states.
+     * A timestamp earlier than the previous one means the playback restarted. The vibration
+     * dose value adds up as VDV = (Σ eVDV⁴)^¼ from the Wk-weighted levels.
+     * @param {Date} timestamp - Time of the reading
+     * @param {Object} rmsValues - Wf-weighted RMS vertical acceleration (m/s²) per position
+     * @param {Object} [wkRmsValues] - Wk-weighted RMS vertical acceleration (m/s²) per position
+     */
+    accumulate(timestamp, rmsValues, wkRmsValues = null) {
+        const time = timestamp.getTime();
+        if (this.lastTime !== null && time < this.lastTime) {
+            console.log('Playback restarted, resetting motion sickness dose');
+            this.reset();
+        }
+        if (this.lastTime !== null && this.lastRMS) {
+            const dt = (time - this.lastTime) / 1000;
+            if (dt > 0 && dt <= this.maxInterval) {
+                Object.keys(this.lastRMS).forEach(position => {
+                    this.doses[position] = (this.doses[position] || 0) + Math.pow(this.lastRMS[position], 2) * dt;
+                });
+                if (this.lastWkRMS) {
+                    Object.keys(this.lastWkRMS).forEach(position => {
+                        const vdv = ComfortAssessment.estimateVDV(this.lastWkRMS[position], dt);
+                        this.vdvDoses[position] = (this.vdvDoses[position] || 0) + Math.pow(vdv, 4);
+                    });
+                }
+                this.elapsed += dt;
+            }
+        }
+        this.lastTime = time;
+        this.lastRMS = { ...rmsValues };
+        this.lastWkRMS = wkRmsValues ? { ...wkRmsValues } : null;
+    }
+
+    /**
+     * Dose accumulated over the voyage so far
+     * @returns {Object} { elapsed, msdvValues, msiValues, vdvValues, healthValues } with values
+     *                   per position, healthValues being ISO 2631-1 health guidance zones
+     */
+    getVoyageDose() {
+        const msdvValues = {};
+        const msiValues = {};
+        const vdvValues = {};
+        const healthValues = {};
+        Object.keys(this.doses).forEach(position => {
+            msdvValues[position] = Math.sqrt(this.doses[position]);
+            msiValues[position] = this.calculateIncidence(msdvValues[position]);
+        });
+        Object.keys(this.vdvDoses).forEach(position => {
+            vdvValues[position] = Math.pow(this.vdvDoses[position], 0.25);
+            healthValues[position] = ComfortAssessment.healthZoneVDV(vdvValues[position]);
+        });
+        return { elapsed: this.elapsed, msdvValues, msiValues, vdvValues, healthValues };
+    }
+}
+
+window.MotionSicknessDose = MotionSicknessDose;
@@ -0,0 +1,435 @@
+// MotionValidation.js - Measured ship motion against the predicted response: Welch PSDs and
+// Wf-weighted MSDV of the IMU record over one window per sea state, with error metrics per position
+class MotionValidation {
+    constructor() {
+        this.windows = [];              // One per sea state the measurement covers, see analyse
+        this.skipped = 0;               // Sea states in the measured period without enough data or a vessel reading
+        this.windowDuration = null;     // Window length (s), the exposure time at the analysis
+        this.running = false;
+        this.segmentDuration = 256;     // Welch segment length (s), rounded down to a power of two samples
+        this.overlap = 0.5;             // Overlap of successive Welch segments
+        this.minCoverage = 0.5;         // Part of a window that must have data for it to count
+        this.maxGapSamples = 3;         // Longest gap interpolated across, in sample intervals
+        this.matchInterval = 3600;      // Sea state records are hourly, a window stands for its hour
+    }
+
+    // In-place radix-2 FFT of real and imaginary parts, the length a power of two
+    static fft(real, imag) {
+        const n = real.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        for (let size = 2; size <= n; size *= 2) {
+            const angle = -2 * Math.PI / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < size / 2; k++) {
+                    const cos = Math.cos(angle * k);
+                    const sin = Math.sin(angle * k);
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const re = real[b] * cos - imag[b] * sin;
+                    const im = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - re;
+                    imag[b] = imag[a] - im;
+                    real[a] += re;
+                    imag[a] += im;
+                }
+            }
+        }
+    }
+
+    /**
+     * One-sided PSD by Welch's method: Hann-windowed segments with their mean removed, the
+     * periodograms averaged. Segments with a missing sample (NaN) are left out.
+     * @param {Float64Array} values - Evenly sampled values
+     * @param {number} dt - Sample interval (s)
+     * @param {number} length - Segment length in samples, a power of two
+     * @param {number} [overlap=0.5] - Overlap of successive segments
+     * @returns {Object|null} { frequencies, psd, segments } with frequencies in rad/s and the
+     *                        PSD in unit²/(rad/s), null without a complete segment
+     */
+    static welch(values, dt, length, overlap = 0.5) {
+        const taper = Array.from({ length }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / length));
+        const power = taper.reduce((sum, w) => sum + w * w, 0);
+        const step = Math.max(1, Math.round(length * (1 - overlap)));
+        const sums = new Float64Array(length / 2 + 1);
+        let segments = 0;
+
+        for (let start = 0; start + length <= values.length; start += step) {
+            const segment = values.subarray(start, start + length);
+            if (segment.some(value => Number.isNaN(value))) continue;
+            const mean = segment.reduce((sum, value) => sum + value, 0) / length;
+            const real = Float64Array.from(segment, (value, i) => (value - mean) * taper[i]);
+            const imag = new Float64Array(length);
+            MotionValidation.fft(real, imag);
+            for (let k = 0; k <= length / 2; k++) {
+                sums[k] += real[k] * real[k] + imag[k] * imag[k];
+            }
+            segments++;
+        }
+        if (segments === 0) return null;
+
+        // |X|²·dt/Σw² per Hz, negative frequencies folded onto positive ones, then per rad/s
+        const scale = dt / (power * segments * 2 * Math.PI);
+        return {
+            frequencies: Array.from(sums, (_, k) => 2 * Math.PI * k / (length * dt)),
+            psd: Array.from(sums, (sum, k) => sum * scale * (k === 0 || k === length / 2 ? 1 : 2)),
+            segments
+        };
+    }
+
+    /**
+     * Values of a field on an even time grid, linear between samples; NaN where the samples
+     * either side are more than maxGap apart, outside the record or where the value is missing
+     * @param {Array} readings - Samples with a timestamp, in time order
+     * @param {string} key - Field to read
+     * @param {number} start - Time of the first grid point (ms)
+     * @param {number} dt - Grid step (s)
+     * @param {number} count - Number of grid points
+     * @param {number} maxGap - Longest spacing (s) between samples that is interpolated across
+     * @returns {Float64Array}
+     */
+    static resample(readings, key, start, dt, count, maxGap) {
+        const values = new Float64Array(count).fill(NaN);
+        let i = Math.max(0, SensorHub.findIndex(readings, start));
+        for (let n = 0; n < count; n++) {
+            const time = start + n * dt * 1000;
+            while (i + 1 < readings.length && readings[i + 1].timestamp.getTime() <= time) i++;
+
+            const before = readings[i];
+            const after = readings[i + 1];
+            const t0 = before.timestamp.getTime();
+            if (t0 === time) {
+                values[n] = before[key];
+            } else if (t0 < time && after) {
+                const span = after.timestamp.getTime() - t0;
+                if (span / 1000 <= maxGap) {
+                    values[n] = SensorHub.interpolate(before[key], after[key], (time - t0) / span);
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Vertical motion at the ship positions the measurement reaches, on a window's time grid:
+     * the displacement Z = H − x·P + y·R from the heave, pitch and roll at midships (as the
+     * point RAOs; off the centreline without pitch is left out, without roll takes heave and
+     * pitch only), and the vertical acceleration at the accelerometer's position
+     * @returns {Object} Position name -> { values, acceleration }, acceleration false for displacements
+     */
+    getSignals(sensor, positions, start, dt, count) {
+        const maxGap = this.maxGapSamples * dt;
+        const read = key => sensor.channels.includes(key)
+            ? MotionValidation.resample(sensor.data, key, start, dt, count, maxGap)
+            : null;
+        const signals = {};
+
+        const heave = read('heave');
+        if (heave) {
+            const pitch = read('pitch');
+            const roll = read('roll');
+            const toRadians = Math.PI / 180;
+            positions.filter(({ x }) => pitch || x === 0).forEach(({ name, x, y = 0 }) => {
+                signals[name] = {
+                    acceleration: false,
+                    values: heave.map((value, n) => value
+                        - (pitch ? x * pitch[n] * toRadians : 0)
+                        + (roll && y !== 0 ? y * roll[n] * toRadians : 0))
+                };
+            });
+        }
+
+        // A measured acceleration rather than one derived from displacements
+        const accelerometer = positions.find(position => position.name === sensor.accelerometerPosition);
+        if (accelerometer && sensor.channels.includes('verticalAcceleration')) {
+            signals[accelerometer.name] = { acceleration: true, values: read('verticalAcceleration') };
+        }
+        return signals;
+    }
+
+    /**
+     * Encounter frequency range a prediction covers: the RAO wave frequencies mapped with the
+     * speed and the relative heading of each wave direction of the spectrum
+     * @param {Object} response - Result of computeResponse() for the spectrum
+     * @returns {Object} { min, max } in rad/s
+     */
+    getEncounterBand(response, spectrum, speed, heading) {
+        const psd = window.powerSpectralDensity;
+        const frequencies = spectrum.components.flatMap(component =>
+            (component.directions || [{ direction: component.waveDirection }]).flatMap(({ direction }) =>
+                psd.calculateEncounterFrequencies(response.freqRAO, speed, psd.getRelativeWaveHeading(direction, heading))));
+        return { min: Math.min(...frequencies), max: Math.max(...frequencies) };
+    }
+
+    /**
+     * Wf-weighted vertical acceleration PSDs and RMS of the measurement in one window
+     * @param {Sensor4} sensor - Loaded measured motion
+     * @param {Array} positions - Ship positions as { name, x, y }
+     * @param {number} start - Start of the window (ms)
+     * @param {number} duration - Window length (s)
+     * @param {Object} band - Encounter frequencies { min, max } (rad/s) to integrate over, those
+     *                        of the prediction so both cover the same range, see getEncounterBand
+     * @returns {Object|null} { frequencies, psds, rmsValues, coverage } with values per position,
+     *                        null if less than minCoverage of the window has data
+     */
+    measureWindow(sensor, positions, start, duration, band) {
+        const psd = window.powerSpectralDensity;
+        const dt = sensor.interval;
+        const count = Math.floor(duration / dt);
+        const length = Math.pow(2, Math.floor(Math.log2(Math.min(this.segmentDuration, duration) / dt)));
+        const signals = this.getSignals(sensor, positions, start, dt, count);
+
+        const names = Object.keys(signals);
+        if (names.length === 0) return null;
+        const coverage = Math.max(...names.map(name =>
+            signals[name].values.filter(value => !Number.isNaN(value)).length / count));
+        if (coverage < this.minCoverage) return null;
+
+        let frequencies = null;
+        const psds = {};
+        names.forEach(name => {
+            const spectrum = MotionValidation.welch(signals[name].values, dt, length, this.overlap);
+            if (!spectrum) return;
+
+            // Without the mean (ω = 0), over the band of the prediction
+            const keep = spectrum.frequencies.map((omega, k) => k > 0 && omega >= band.min && omega <= band.max);
+            frequencies = spectrum.frequencies.filter((_, k) => keep[k]);
+            let density = spectrum.psd.filter((_, k) => keep[k]);
+            // Displacement to acceleration by ω⁴, as convertToAccelerationPSDs
+            if (!signals[name].acceleration) {
+                density = density.map((value, k) => value * Math.pow(frequencies[k], 4));
+            }
+            psds[name] = psd.applyWfWeighting(frequencies, density);
+        });
+        if (!frequencies) return null;
+
+        return { frequencies, psds, rmsValues: psd.calculateRMS(psds, frequencies), coverage };
+    }
+
+    /**
+     * Compare the measurement with the predicted response over a window of the exposure time
+     * centred on each sea state it covers, the prediction with the vessel speed and heading in
+     * force at the centre and the measured PSDs integrated over its encounter frequencies; sea
+     * states without a vessel reading or enough data are skipped
+     * @param {Sensor4} sensor - Loaded measured motion
+     * @param {Array} seaStates - SeaState readings, e.g. the loaded ERA5 data
+     * @param {Array} vesselReadings - { timestamp, speed, heading } readings
+     * @param {Function} [onProgress] - Called with (done, total) while running
+     * @returns {Promise<Array>} Windows as { timestamp, start, end, waveHeight, speed, heading,
+     *                           coverage, frequencies, measuredPSDs, measured, predicted },
+     *                           measured and predicted being Wf-weighted RMS (m/s²) per position
+     */
+    async analyse(sensor, seaStates, vesselReadings, onProgress) {
+        if (sensor.data.length < 2 || !(sensor.interval > 0)) {
+            throw new Error('No measured motion loaded');
+        }
+        await window.raoStore.whenReady();
+        this.running = true;
+
+        const psd = window.powerSpectralDensity;
+        const positions = psd.shipPositions;
+        const duration = psd.T_exp;
+        const first = sensor.data[0].timestamp.getTime();
+        const last = sensor.data[sensor.data.length - 1].timestamp.getTime();
+        const covered = seaStates.filter(seaState => {
+            const time = seaState.timestamp.getTime();
+            return time + duration * 500 > first && time - duration * 500 < last;
+        });
+
+        const windows = [];
+        let skipped = 0;
+
+        try {
+            for (let i = 0; i < covered.length; i++) {
+                const seaState = covered[i];
+                const start = seaState.timestamp.getTime() - duration * 500;
+                const vessel = Sensor2.findReadingAt(vesselReadings, seaState.timestamp);
+                const spectrum = vessel && window.jonswapSpectrum.calculateSeaStateSpectrum(seaState);
+                const response = vessel && psd.computeResponse(spectrum, vessel.speed, vessel.heading, duration, positions);
+                const measured = vessel && this.measureWindow(sensor, positions, start, duration,
+                    this.getEncounterBand(response, spectrum, vessel.speed, vessel.heading));
+
+                if (measured) {
+                    windows.push({
+                        timestamp: seaState.timestamp,
+                        start: new Date(start),
+                        end: new Date(start + duration * 1000),
+                        waveHeight: seaState.waveHeight,
+                        speed: vessel.speed,
+                        heading: vessel.heading,
+                        coverage: measured.coverage,
+                        frequencies: measured.frequencies,
+                        measuredPSDs: measured.psds,
+                        measured: measured.rmsValues,
+                        predicted: response.rmsValues
+                    });
+                } else {
+                    skipped++;
+                }
+
+                if (onProgress) onProgress(i + 1, covered.length);
+                // Keep the page responsive during the analysis
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.windows = windows;
+        this.skipped = skipped;
+        this.windowDuration = duration;
+        return windows;
+    }
+
+    // Drop the results, e.g. for another measurement or vessel
+    clear() {
+        this.windows = [];
+        this.skipped = 0;
+    }
+
+    // Window of the sea state nearest a time, null if none stands for that time
+    getWindowAt(timestamp) {
+        const time = timestamp.getTime();
+        let nearest = null;
+        this.windows.forEach(record => {
+            if (!nearest || Math.abs(record.timestamp - time) < Math.abs(nearest.timestamp - time)) {
+                nearest = record;
+            }
+        });
+        return nearest && Math.abs(nearest.timestamp - time) <= this.matchInterval * 500 ? nearest : null;
+    }
+
+    // MSDV (m/s^1.5) over the window length from a Wf-weighted RMS
+    getMSDV(rms) {
+        return MotionSicknessDose.calculateMSDV(rms, this.windowDuration);
+    }
+
+    /**
+     * Error of the prediction per position over all windows: bias and RMSE (m/s^1.5) of the
+     * predicted minus measured MSDV, and the factor k that scales the predicted RMS best onto
+     * the measured one, k = Σ(m·p)/Σp² (least squares), to calibrate the RAOs and spectrum by
+     * @returns {Object} Position name -> { count, measured, predicted, bias, rmse, factor },
+     *                   measured and predicted being mean MSDVs, factor null when every
+     *                   predicted RMS is zero
+     */
+    getSummary() {
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const summary = {};
+        window.powerSpectralDensity.shipPositions.forEach(({ name }) => {
+            const pairs = this.windows
+                .filter(record => name in record.measured)
+                .map(record => ({ measured: record.measured[name], predicted: record.predicted[name] }));
+            if (pairs.length === 0) return;
+
+            const errors = pairs.map(pair => this.getMSDV(pair.predicted) - this.getMSDV(pair.measured));
+            const products = pairs.map(pair => pair.measured * pair.predicted);
+            const squares = pairs.map(pair => pair.predicted * pair.predicted);
+            const predictedPower = mean(squares);
+            summary[name] = {
+                count: pairs.length,
+                measured: mean(pairs.map(pair => this.getMSDV(pair.measured))),
+                predicted: mean(pairs.map(pair => this.getMSDV(pair.predicted))),
+                bias: mean(errors),
+                rmse: Math.sqrt(mean(errors.map(error => error * error))),
+                factor: predictedPower > 0 ? mean(products) / predictedPower : null
+            };
+        });
+        return summary;
+    }
+
+    // Positions to show: the displayed ones that were measured, else all that were (an accelerometer)
+    getPositions() {
+        const measured = window.powerSpectralDensity.shipPositions
+            .filter(position => this.windows.some(record => position.name in record.measured));
+        const displayed = measured.filter(position => position.display);
+        return (displayed.length > 0 ? displayed : measured).map(position => position.name);
+    }
+
+    // Measured and predicted MSDV per sea state window, the error metrics below
+    renderTable(elementId) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        if (this.windows.length === 0) {
+            element.innerHTML = '';
+            return;
+        }
+
+        const positions = this.getPositions();
+        const summary = this.getSummary();
+        const rows = this.windows.map(record => `<tr>
+            <td>${record.timestamp.toISOString().slice(0, 16).replace('T', ' ')}</td>
+            <td>${record.waveHeight.toFixed(2)}</td>
+            <td>${record.speed.toFixed(1)} / ${record.heading.toFixed(0)}</td>
+            <td>${(record.coverage * 100).toFixed(0)}</td>
+            ${positions.map(name => name in record.measured
+                ? `<td>${this.getMSDV(record.measured[name]).toFixed(2)} / ${this.getMSDV(record.predicted[name]).toFixed(2)}</td>`
+                : '<td></td>').join('')}
+        </tr>`);
+        const summaryRow = (label, format) => `<tr>
+            <td colspan="4">${label}</td>
+            ${positions.map(name => `<td>${format(summary[name])}</td>`).join('')}
+        </tr>`;
+
+        element.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Sea state (UTC)</th>
+                        <th>Hs [m]</th>
+                        <th>Speed [kn] / heading [°]</th>
+                        <th>Coverage [%]</th>
+                        ${positions.map(position => `<th>${position}</th>`).join('')}
+                    </tr>
+                    <tr>
+                        <th colspan="${positions.length + 4}">MSDV [m/s¹·⁵] over ${(this.windowDuration / 3600).toFixed(2)} h, measured / predicted</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.join('')}
+                    ${summaryRow('Mean, measured / predicted', s => `${s.measured.toFixed(2)} / ${s.predicted.toFixed(2)}`)}
+                    ${summaryRow('Bias (predicted − measured)', s => s.bias.toFixed(2))}
+                    ${summaryRow('RMSE', s => s.rmse.toFixed(2))}
+                    ${summaryRow('Calibration factor (measured ÷ predicted RMS)', s => s.factor !== null ? s.factor.toFixed(2) : '--')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Windows as CSV, measured and predicted MSDV columns per position
+    toCSV() {
+        const positions = window.powerSpectralDensity.shipPositions
+            .map(position => position.name)
+            .filter(name => this.windows.some(record => name in record.measured));
+        const header = [
+            'timestamp', 'Hs_m', 'speed_kn', 'heading_deg', 'coverage',
+            ...positions.flatMap(name => [`MSDV measured ${name}`, `MSDV predicted ${name}`])
+        ];
+        const rows = this.windows.map(record => [
+            record.timestamp.toISOString(),
+            record.waveHeight.toFixed(2),
+            record.speed.toFixed(1),
+            record.heading.toFixed(0),
+            record.coverage.toFixed(2),
+            ...positions.flatMap(name => name in record.measured
+                ? [this.getMSDV(record.measured[name]).toFixed(3), this.getMSDV(record.predicted[name]).toFixed(3)]
+                : ['', ''])
+        ]);
+        return [header, ...rows].map(row => row.join(',')).join('\n');
+    }
+}
+
+// Create global instance
+window.MotionValidation = MotionValidation;
+window.motionValidation = new MotionValidation();
+
+// Results of another vessel no longer apply
+window.vesselProfiles.addEventListener('profileChanged', () => {
+    window.motionValidation.clear();
+});
@@ -0,0 +1,253 @@
+// NetCDFReader.js - Reads NetCDF classic files (CDF-1, 64-bit offset CDF-2 and CDF-5) from an
+// ArrayBuffer. NetCDF-4 files are HDF5 inside and are not read, GRIB is read by GRIBReader.
+class NetCDFReader {
+    /**
+     * @param {ArrayBuffer} buffer - The whole file
+     */
+    constructor(buffer) {
+        const format = NetCDFReader.detectFormat(buffer);
+        if (format !== 'netcdf') {
+            throw new Error(NetCDFReader.UNSUPPORTED[format] || 'Not a NetCDF file');
+        }
+
+        this.view = new DataView(buffer);
+        this.version = this.view.getUint8(3);
+        this.offset = 4;
+
+        // Streamed files leave the record count indeterminate, it follows from the file size
+        const recordCount = this.readSize();
+        this.dimensions = this.readList(0x0A, () => ({ name: this.readName(), size: this.readSize() }));
+        this.attributes = this.readAttributes();
+        this.variables = this.readList(0x0B, () => this.readVariable());
+
+        const recordVariables = this.variables.filter(variable => variable.record);
+        // A single record variable is not padded to 4 bytes
+        this.recordSize = recordVariables.length === 1
+            ? recordVariables[0].recordBytes
+            : recordVariables.reduce((sum, variable) => sum + variable.size, 0);
+        this.recordCount = recordCount === NetCDFReader.STREAMING && recordVariables.length > 0
+            ? Math.floor((buffer.byteLength - Math.min(...recordVariables.map(v => v.begin))) / this.recordSize)
+            : recordCount;
+
+        this.dimensions.forEach(dimension => {
+            if (dimension.size === 0) {
+                dimension.size = this.recordCount;
+                dimension.record = true;
+            }
+        });
+        this.variables.forEach(variable => {
+            variable.shape = variable.dimensionIds.map(id => this.dimensions[id].size);
+            variable.dimensions = variable.dimensionIds.map(id => this.dimensions[id].name);
+        });
+    }
+
+    // Error messages for the formats detectFormat knows but neither this reader nor GRIBReader reads
+    static get UNSUPPORTED() {
+        return {
+            netcdf4: 'NetCDF-4 (HDF5) files are not supported, download the data from the CDS as GRIB ' +
+                     'instead or convert the file to NetCDF classic, e.g. nccopy -k classic in.nc out.nc',
+            grib2: 'GRIB edition 2 files are not supported, only edition 1 as ERA5 wave fields come in; ' +
+                   'convert the file to NetCDF classic first, e.g. cdo -f nc copy in.grib out.nc'
+        };
+    }
+
+    // numrecs of a file written as a stream
+    static get STREAMING() {
+        return 0xFFFFFFFF;
+    }
+
+    // nc_type: byte size and DataView getter, CDF-5 adds the unsigned and 64-bit types
+    static get TYPES() {
+        return {
+            1: { size: 1, get: 'getInt8' },
+            2: { size: 1, get: 'getUint8', char: true },
+            3: { size: 2, get: 'getInt16' },
+            4: { size: 4, get: 'getInt32' },
+            5: { size: 4, get: 'getFloat32' },
+            6: { size: 8, get: 'getFloat64' },
+            7: { size: 1, get: 'getUint8' },
+            8: { size: 2, get: 'getUint16' },
+            9: { size: 4, get: 'getUint32' },
+            10: { size: 8, get: 'getBigInt64' },
+            11: { size: 8, get: 'getBigUint64' }
+        };
+    }
+
+    /**
+     * Kind of file from its first bytes
+     * @param {ArrayBuffer} buffer - The file or at least its first 8 bytes
+     * @returns {string} 'netcdf' (classic), 'netcdf4', 'grib' (edition 1), 'grib2' or 'unknown'
+     */
+    static detectFormat(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+        const text = String.fromCharCode(...bytes);
+        if (text.startsWith('CDF') && [1, 2, 5].includes(bytes[3])) return 'netcdf';
+        if (text === '\x89HDF\r\n\x1a\n') return 'netcdf4';
+        if (text.startsWith('GRIB')) return bytes[7] === 1 ? 'grib' : 'grib2';
+        return 'unknown';
+    }
+
+    // NON_NEG counts are 64-bit in CDF-5
+    readSize() {
+        if (this.version === 5) {
+            const value = Number(this.view.getBigUint64(this.offset));
+            this.offset += 8;
+            return value;
+        }
+        const value = this.view.getUint32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    // File offsets are 32-bit in CDF-1, 64-bit otherwise
+    readOffset() {
+        if (this.version === 1) {
+            const value = this.view.getUint32(this.offset);
+            this.offset += 4;
+            return value;
+        }
+        const value = Number(this.view.getBigUint64(this.offset));
+        this.offset += 8;
+        return value;
+    }
+
+    pad() {
+        this.offset += (4 - this.offset % 4) % 4;
+    }
+
+    readName() {
+        const length = this.readSize();
+        const name = new TextDecoder().decode(new Uint8Array(this.view.buffer, this.offset, length));
+        this.offset += length;
+        this.pad();
+        return name;
+    }
+
+    // A tagged list, or ABSENT (two zeros)
+    readList(tag, readItem) {
+        const found = this.view.getUint32(this.offset);
+        this.offset += 4;
+        const count = this.readSize();
+        if (found === 0 && count === 0) return [];
+        if (found !== tag) {
+            throw new Error(`Corrupt NetCDF header at byte ${this.offset}`);
+        }
+        return Array.from({ length: count }, readItem);
+    }
+
+    readAttributes() {
+        const attributes = {};
+        this.readList(0x0C, () => {
+            const name = this.readName();
+            const type = this.view.getUint32(this.offset);
+            this.offset += 4;
+            const count = this.readSize();
+            attributes[name] = this.readValues(type, count, this.offset);
+            this.offset += count * NetCDFReader.TYPES[type].size;
+            this.pad();
+        });
+        return attributes;
+    }
+
+    readVariable() {
+        const name = this.readName();
+        const dimensionCount = this.readSize();
+        const dimensionIds = Array.from({ length: dimensionCount }, () => this.readSize());
+        const attributes = this.readAttributes();
+        const type = this.view.getUint32(this.offset);
+        this.offset += 4;
+        const size = this.readSize();
+        const begin = this.readOffset();
+
+        if (!NetCDFReader.TYPES[type]) {
+            throw new Error(`Unknown NetCDF type ${type} of variable ${name}`);
+        }
+        const record = dimensionIds.length > 0 && this.dimensions[dimensionIds[0]].size === 0;
+        const valuesPerRecord = dimensionIds.slice(record ? 1 : 0)
+            .reduce((product, id) => product * this.dimensions[id].size, 1);
+        return {
+            name,
+            dimensionIds,
+            attributes,
+            type,
+            size,
+            begin,
+            record,
+            recordBytes: valuesPerRecord * NetCDFReader.TYPES[type].size
+        };
+    }
+
+    // count values of a type from a byte offset, chars as one string
+    readValues(type, count, offset) {
+        const { size, get, char } = NetCDFReader.TYPES[type];
+        if (char) {
+            return new TextDecoder().decode(new Uint8Array(this.view.buffer, offset, count)).replace(/\0+$/, '');
+        }
+        return Array.from({ length: count }, (_, i) => Number(this.view[get](offset + i * size)));
+    }
+
+    hasVariable(name) {
+        return this.variables.some(variable => variable.name === name);
+    }
+
+    getVariableInfo(name) {
+        const variable = this.variables.find(v => v.name === name);
+        if (!variable) {
+            throw new Error(`No variable ${name} in the NetCDF file`);
+        }
+        return variable;
+    }
+
+    /**
+     * Turn a stored value into a number: fill and missing values become NaN, then
+     * scale_factor and add_offset are applied (ERA5 packs its fields as shorts)
+     */
+    unpack(variable, raw) {
+        const { _FillValue: fill, missing_value: missing, scale_factor: scale, add_offset: offset } = variable.attributes;
+        if ((fill && raw === fill[0]) || (missing && raw === missing[0]) || Number.isNaN(raw)) return NaN;
+        return raw * (scale ? scale[0] : 1) + (offset ? offset[0] : 0);
+    }
+
+    /**
+     * All values of a variable, unpacked, e.g. a coordinate
+     * @returns {Float64Array} Values in row-major order of the variable's dimensions
+     */
+    getValues(name) {
+        const variable = this.getVariableInfo(name);
+        const { size, get } = NetCDFReader.TYPES[variable.type];
+        const total = variable.shape.reduce((product, length) => product * length, 1);
+        const perRecord = variable.record ? total / Math.max(1, this.recordCount) : total;
+        const values = new Float64Array(total);
+        for (let i = 0; i < total; i++) {
+            const record = variable.record ? Math.floor(i / perRecord) : 0;
+            const position = variable.begin + record * this.recordSize + (i - record * perRecord) * size;
+            values[i] = this.unpack(variable, Number(this.view[get](position)));
+        }
+        return values;
+    }
+
+    /**
+     * One value of a variable, unpacked, without reading the rest of it
+     * @param {string} name
+     * @param {Array} indices - Index along each dimension of the variable
+     */
+    getValue(name, indices) {
+        const variable = this.getVariableInfo(name);
+        const { size, get } = NetCDFReader.TYPES[variable.type];
+        const first = variable.record ? 1 : 0;
+        let index = 0;
+        for (let i = first; i < indices.length; i++) {
+            index = index * variable.shape[i] + indices[i];
+        }
+        const position = variable.begin + (variable.record ? indices[0] * this.recordSize : 0) + index * size;
+        return this.unpack(variable, Number(this.view[get](position)));
+    }
+
+    // Text attribute of a variable, e.g. its units, null if it has none
+    getAttribute(name, attribute) {
+        const value = this.getVariableInfo(name).attributes[attribute];
+        return value === undefined ? null : value;
+    }
+}
+
+window.NetCDFReader = NetCDFReader;
@@ -0,0 +1,308 @@
+// Operability.js - Limiting criteria checks per crew station and percentage operable over a period
+class OperabilityAnalysis {
+    // RMS vertical acceleration limits (g) by type of work (NORDFORSK 1987). The lateral
+    // acceleration and roll limits of the same table need roll and sway RAOs.
+    static get NORDFORSK_TASKS() {
+        return {
+            lightManual: { label: 'Light manual work', verticalAcceleration: 0.20 },
+            heavyManual: { label: 'Heavy manual work', verticalAcceleration: 0.15 },
+            intellectual: { label: 'Intellectual work', verticalAcceleration: 0.10 },
+            transitPassengers: { label: 'Transit passengers', verticalAcceleration: 0.05 },
+            cruiseLiner: { label: 'Cruise liner', verticalAcceleration: 0.02 }
+        };
+    }
+
+    static get CRITERIA_LABELS() {
+        return {
+            verticalAcceleration: { label: 'RMS vertical acc.', unit: 'g', digits: 3 },
+            pitch: { label: 'RMS pitch', unit: 'deg', digits: 2 },
+            mii: { label: 'MII', unit: '/min', digits: 2 },
+            slamming: { label: 'Slamming prob.', unit: '', digits: 4 }
+        };
+    }
+
+    /**
+     * Slamming probability limit (NORDFORSK 1987), 0.03 up to 100 m and 0.01 from 300 m,
+     * linear in between
+     * @param {number} length - Ship length (m)
+     */
+    static slammingLimit(length) {
+        const fraction = Math.min(Math.max((length - 100) / 200, 0), 1);
+        return 0.03 - 0.02 * fraction;
+    }
+
+    /**
+     * @param {Object} [criteria] - Overrides of the default criteria, see getDefaultCriteria()
+     */
+    constructor(criteria = {}) {
+        this.criteria = { ...this.getDefaultCriteria(), ...criteria };
+        this.summary = null;
+        this.running = false;
+    }
+
+    /**
+     * Default criteria for the active vessel:
+     * task - NORDFORSK type of work at every crew station, positionTasks overriding it per position name
+     * pitch - RMS pitch limit (deg), NATO STANAG 4154
+     * mii - Motion induced interruptions per minute, NATO STANAG 4154
+     * tippingCoefficient - Half stance width over height of the centre of gravity l/h (Graham 1990)
+     * slamming - Probability of slamming per encounter at the slamming station
+     */
+    getDefaultCriteria() {
+        const profile = window.vesselProfiles.active;
+        return {
+            task: 'lightManual',
+            positionTasks: {},
+            pitch: 1.5,
+            mii: 1,
+            tippingCoefficient: 0.25,
+            slamming: OperabilityAnalysis.slammingLimit(profile.length)
+        };
+    }
+
+    // Change some of the criteria, keeps the others
+    setCriteria(criteria) {
+        this.criteria = { ...this.criteria, ...criteria };
+        return this.criteria;
+    }
+
+    // NORDFORSK task of a crew station
+    getTask(name) {
+        const tasks = OperabilityAnalysis.NORDFORSK_TASKS;
+        return tasks[this.criteria.positionTasks[name]] || tasks[this.criteria.task];
+    }
+
+    /**
+     * Motion induced interruptions per minute from fore-aft tipping (Graham 1990). A person
+     * tips forward when g·θ − k·z̈ > k·g and aft when −g·θ − k·z̈ > k·g, with the tipping
+     * coefficient k = l/h, pitch θ positive bow down, and surge and the lever arm of the
+     * pitch acceleration neglected. Each is a Rice upcrossing rate of its Gaussian process.
+     * @param {Array} frequencies - Encounter frequencies (rad/s)
+     * @param {Array} pitchPSD - Pitch displacement PSD (rad²/(rad/s))
+     * @param {Array} accPointPSD - Vertical acceleration PSD of the position
+     * @param {Array} pitchPointCrossPSD - Re(P·Z*)·S of pitch and the position's vertical displacement
+     * @param {number} k - Tipping coefficient l/h
+     */
+    calculateMII(frequencies, pitchPSD, accPointPSD, pitchPointCrossPSD, k) {
+        const g = 9.81;
+        // a_x = g·θ, a_z = −ωe²·z, so Re(S_xz) = −g·ωe²·Re(P·Z*)·S
+        const directions = [1, -1].map(sign => frequencies.map((w, i) =>
+            g * g * pitchPSD[i] + k * k * accPointPSD[i] + 2 * sign * k * g * w * w * pitchPointCrossPSD[i]));
+
+        return directions.reduce((rate, psd) => {
+            const m0 = SpectralStatistics.moment(frequencies, psd, 0);
+            const m2 = SpectralStatistics.moment(frequencies, psd, 2);
+            if (!(m0 > 0)) return rate;
+            return rate + 60 / (2 * Math.PI) * Math.sqrt(m2 / m0) * Math.exp(-Math.pow(k * g, 2) / (2 * m0));
+        }, 0);
+    }
+
+    /**
+     * Probability of slamming per encounter (Ochi 1964): the keel emerges and re-enters faster
+     * than the threshold velocity 0.093·√(g·L), P = exp(−T²/2m0 − v²/2m2) of the relative motion
+     * @param {Array} frequencies - Encounter frequencies (rad/s)
+     * @param {Array} relativeMotionPSD - Relative motion PSD at the slamming station
+     * @param {number} draft - Draft at the slamming station (m)
+     * @param {number} length - Ship length (m)
+     */
+    calculateSlammingProbability(frequencies, relativeMotionPSD, draft, length) {
+        const m0 = SpectralStatistics.moment(frequencies, relativeMotionPSD, 0);
+        const m2 = SpectralStatistics.moment(frequencies, relativeMotionPSD, 2);
+        if (!(m0 > 0) || !(m2 > 0)) return 0;
+        const thresholdVelocity = 0.093 * Math.sqrt(9.81 * length);
+        return Math.exp(-draft * draft / (2 * m0) - thresholdVelocity * thresholdVelocity / (2 * m2));
+    }
+
+    /**
+     * Check every crew station of a response against the criteria
+     * @param {Object} response - Result of PowerSpectralDensity.computeResponse()
+     * @returns {Object} { pass, positions } with { task, checks, pass } per position name, a
+     *                   check being { value, limit, pass }, and pass true when all stations pass
+     */
+    evaluate(response) {
+        const profile = window.vesselProfiles.active;
+        const { freqEncounter, pitchPSD, accPointPSDs, pitchPointCrossPSDs, relativeMotionPSD } = response;
+        const check = (value, limit) => ({ value, limit, pass: value <= limit });
+
+        // Rigid-body criteria are the same at every station
+        const pitchRMS = Math.sqrt(SpectralStatistics.moment(freqEncounter, pitchPSD, 0)) * 180 / Math.PI;
+        const slamming = profile.draft > 0 && relativeMotionPSD
+            ? this.calculateSlammingProbability(freqEncounter, relativeMotionPSD, profile.draft, profile.length)
+            : null;
+
+        const positions = {};
+        Object.keys(accPointPSDs).forEach(name => {
+            const task = this.getTask(name);
+            const verticalRMS = Math.sqrt(SpectralStatistics.moment(freqEncounter, accPointPSDs[name], 0)) / 9.81;
+            const checks = {
+                verticalAcceleration: check(verticalRMS, task.verticalAcceleration),
+                pitch: check(pitchRMS, this.criteria.pitch),
+                mii: check(
+                    this.calculateMII(freqEncounter, pitchPSD, accPointPSDs[name], pitchPointCrossPSDs[name],
+                        this.criteria.tippingCoefficient),
+                    this.criteria.mii
+                )
+            };
+            // Without a draft the slamming criterion cannot be checked
+            if (slamming !== null) {
+                checks.slamming = check(slamming, this.criteria.slamming);
+            }
+            positions[name] = {
+                task: task.label,
+                checks,
+                pass: Object.values(checks).every(result => result.pass)
+            };
+        });
+
+        return {
+            pass: Object.values(positions).every(position => position.pass),
+            positions
+        };
+    }
+
+    /**
+     * Percentage of the sea states in a period in which the crew stations are operable. Each
+     * sea state is combined with the vessel speed and heading in force at its time; sea states
+     * without a vessel reading within the hour are skipped.
+     * @param {Array} seaStates - SeaState readings, e.g. the loaded ERA5 data
+     * @param {Array} vesselReadings - { timestamp, speed, heading } readings
+     * @param {Function} [onProgress] - Called with (done, total) while running
+     * @returns {Promise<Object>} { count, skipped, operable, positions, criteria, start, end },
+     *                            percentages operable overall (all stations), per position
+     *                            name and per criterion (all stations)
+     */
+    async analysePeriod(seaStates, vesselReadings, onProgress) {
+        await window.raoStore.whenReady();
+        this.running = true;
+
+        const positionCounts = {};
+        const criterionCounts = {};
+        let count = 0;
+        let operableCount = 0;
+        let skipped = 0;
+
+        try {
+            for (let i = 0; i < seaStates.length; i++) {
+                const seaState = seaStates[i];
+                const vessel = Sensor2.findReadingAt(vesselReadings, seaState.timestamp);
+                if (!vessel) {
+                    skipped++;
+                    continue;
+                }
+
+                const spectrum = window.jonswapSpectrum.calculateSeaStateSpectrum(seaState);
+                const response = window.powerSpectralDensity.computeResponse(spectrum, vessel.speed, vessel.heading);
+                const evaluation = this.evaluate(response);
+
+                count++;
+                if (evaluation.pass) operableCount++;
+                const results = Object.entries(evaluation.positions);
+                results.forEach(([name, position]) => {
+                    positionCounts[name] = (positionCounts[name] || 0) + (position.pass ? 1 : 0);
+                });
+                Object.keys(results[0][1].checks).forEach(key => {
+                    const allPass = results.every(([, position]) => position.checks[key].pass);
+                    criterionCounts[key] = (criterionCounts[key] || 0) + (allPass ? 1 : 0);
+                });
+
+                if (onProgress) onProgress(i + 1, seaStates.length);
+                // Keep the page responsive during the analysis
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            this.running = false;
+        }
+
+        const percentage = value => count > 0 ? 100 * value / count : 0;
+        const positions = {};
+        Object.keys(positionCounts).forEach(name => { positions[name] = percentage(positionCounts[name]); });
+        const criteria = {};
+        Object.keys(criterionCounts).forEach(key => { criteria[key] = percentage(criterionCounts[key]); });
+
+        this.summary = {
+            count,
+            skipped,
+            operable: percentage(operableCount),
+            positions,
+            criteria,
+            start: seaStates.length > 0 ? seaStates[0].timestamp : null,
+            end: seaStates.length > 0 ? seaStates[seaStates.length - 1].timestamp : null
+        };
+        return this.summary;
+    }
+
+    // Render the pass/fail matrix of one sea state, a row per position and a column per criterion
+    renderMatrix(elementId, evaluation) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        const labels = OperabilityAnalysis.CRITERIA_LABELS;
+        const names = Object.keys(evaluation.positions);
+        if (names.length === 0) return;
+        const keys = Object.keys(evaluation.positions[names[0]].checks);
+
+        const cell = ({ value, limit, pass }, { unit, digits }) =>
+            `<td class="${pass ? 'operable' : 'not-operable'}">${value.toFixed(digits)} / ${limit.toFixed(digits)} ${unit}</td>`;
+        const rows = names.map(name => {
+            const position = evaluation.positions[name];
+            return `<tr>
+                <td>${name}</td>
+                <td>${position.task}</td>
+                ${keys.map(key => cell(position.checks[key], labels[key])).join('')}
+                <td class="${position.pass ? 'operable' : 'not-operable'}">${position.pass ? 'Pass' : 'Fail'}</td>
+            </tr>`;
+        });
+
+        element.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Position</th>
+                        <th>Task</th>
+                        ${keys.map(key => `<th>${labels[key].label}</th>`).join('')}
+                        <th>Operable</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // Render the percentage operable over the analysed period
+    renderSummary(elementId, summary = this.summary) {
+        const element = document.getElementById(elementId);
+        if (!element || !summary) return;
+
+        const labels = OperabilityAnalysis.CRITERIA_LABELS;
+        const period = summary.start && summary.end
+            ? `${summary.start.toISOString().slice(0, 16)} to ${summary.end.toISOString().slice(0, 16)} UTC`
+            : '--';
+        const positionRows = Object.keys(summary.positions).map(name =>
+            `<tr><td>${name}</td><td>${summary.positions[name].toFixed(1)}%</td></tr>`);
+        const criterionRows = Object.keys(summary.criteria).map(key =>
+            `<tr><td>${labels[key].label} (all positions)</td><td>${summary.criteria[key].toFixed(1)}%</td></tr>`);
+
+        element.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Period ${period}, ${summary.count} sea states (${summary.skipped} without vessel data)</th><th>Operable</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>All positions</td><td>${summary.operable.toFixed(1)}%</td></tr>
+                    ${positionRows.join('')}
+                    ${criterionRows.join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
+
+// Create global instance
+window.OperabilityAnalysis = OperabilityAnalysis;
+window.operabilityAnalysis = new OperabilityAnalysis();
+
+// The slamming limit depends on the ship length, and the last period result no longer applies
+window.vesselProfiles.addEventListener('profileChanged', ({ detail }) => {
+    window.operabilityAnalysis.setCriteria({ slamming: OperabilityAnalysis.slammingLimit(detail.profile.length) });
+    window.operabilityAnalysis.summary = null;
+});
@@ -0,0 +1,174 @@
+// PolarDiagram.js - Predicted MSDV or MSI over vessel speed and heading for one sea state
+class PolarDiagram {
+    constructor() {
+        this.result = null;
+        this.running = false;
+        this.headingStep = 30;      // Heading resolution (degrees)
+    }
+
+    // Quantities the diagram can show, the default threshold being the Bridge caution level
+    static get METRICS() {
+        return {
+            msdv: { label: 'MSDV', unit: 'm/s¹·⁵', threshold: 15 },
+            msi: { label: 'MSI (ISO 2631-1)', unit: '%', threshold: 5 }
+        };
+    }
+
+    // Vessel headings (degrees) from 0 up to, not including, 360
+    getHeadings() {
+        return Array.from({ length: Math.round(360 / this.headingStep) }, (_, i) => i * this.headingStep);
+    }
+
+    /**
+     * Predicted MSDV and MSI at one position for every RAO speed and vessel heading
+     * @param {SeaState} seaState - Sea state to evaluate, e.g. the current Sensor1 reading
+     * @param {string} positionName - Name of a ship position of the active vessel profile
+     * @param {Function} [onProgress] - Called with (done, total) while running
+     * @returns {Promise<Object>} { seaState, position, speeds, headings, msdv, msi, exposureTime },
+     *                            msdv and msi being arrays per speed of values per heading
+     */
+    async compute(seaState, positionName, onProgress) {
+        const psd = window.powerSpectralDensity;
+        const position = psd.shipPositions.find(p => p.name === positionName);
+        if (!position) {
+            throw new Error(`Unknown ship position: ${positionName}`);
+        }
+
+        await window.raoStore.whenReady();
+        this.running = true;
+
+        const spectrum = window.jonswapSpectrum.calculateSeaStateSpectrum(seaState);
+        const speeds = window.raoVisualizer.getSpeedValues();
+        const headings = this.getHeadings();
+        const exposureTime = psd.T_exp;
+        const msdv = speeds.map(() => []);
+        const msi = speeds.map(() => []);
+        const total = speeds.length * headings.length;
+
+        try {
+            for (let i = 0; i < speeds.length; i++) {
+                for (let j = 0; j < headings.length; j++) {
+                    const response = psd.computeResponse(spectrum, speeds[i], headings[j], exposureTime, [position]);
+                    msdv[i][j] = response.msdvValues[position.name];
+                    msi[i][j] = response.msiValues.iso[position.name];
+
+                    if (onProgress) onProgress(i * headings.length + j + 1, total);
+                    // Keep the page responsive during the sweep
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.result = { seaState, position: position.name, speeds, headings, msdv, msi, exposureTime };
+        return this.result;
+    }
+
+    /**
+     * Draw the diagram: a ring segment per speed and heading coloured from green (0) through
+     * yellow (threshold) to red (twice the threshold and above), north up and clockwise
+     * @param {string} elementId - Chart element
+     * @param {string} [metric='msdv'] - 'msdv' or 'msi'
+     * @param {number} [threshold] - Acceptable level, defaults to that of the metric
+     * @param {Object} [vessel] - Current { speed, heading } to mark, if any
+     */
+    render(elementId, metric = 'msdv', threshold = PolarDiagram.METRICS[metric].threshold, vessel = null) {
+        const element = document.getElementById(elementId);
+        if (!element || !this.result) return;
+
+        const { seaState, speeds, headings } = this.result;
+        const values = this.result[metric];
+        const { label, unit } = PolarDiagram.METRICS[metric];
+
+        // Each speed gets the ring halfway to its neighbours
+        const edges = speeds.map((speed, i) => [
+            i === 0 ? 0 : (speeds[i - 1] + speed) / 2,
+            i === speeds.length - 1 ? speed + (speed - speeds[i - 1] || 1) / 2 : (speed + speeds[i + 1]) / 2
+        ]);
+
+        const cells = { theta: [], r: [], base: [], color: [], text: [] };
+        speeds.forEach((speed, i) => {
+            headings.forEach((heading, j) => {
+                cells.theta.push(heading);
+                cells.base.push(edges[i][0]);
+                cells.r.push(edges[i][1] - edges[i][0]);
+                cells.color.push(values[i][j]);
+                cells.text.push(`${speed} kn, ${heading}°: ${label} ${values[i][j].toFixed(1)} ${unit}`);
+            });
+        });
+
+        const traces = [
+            {
+                type: 'barpolar',
+                name: label,
+                theta: cells.theta,
+                r: cells.r,
+                base: cells.base,
+                width: headings.map(() => this.headingStep),
+                text: cells.text,
+                hoverinfo: 'text',
+                marker: {
+                    color: cells.color,
+                    cmin: 0,
+                    cmax: 2 * threshold,
+                    colorscale: [[0, 'rgb(39, 174, 96)'], [0.5, 'rgb(241, 196, 15)'], [1, 'rgb(231, 76, 60)']],
+                    colorbar: { title: `${label} [${unit}]` },
+                    line: { color: 'white', width: 0.5 }
+                },
+                showlegend: false
+            },
+            {
+                // Waves come from the wave direction, towards the centre
+                type: 'scatterpolar',
+                mode: 'lines+markers',
+                name: `Waves from ${seaState.waveDirection.toFixed(0)}°`,
+                theta: [seaState.waveDirection, seaState.waveDirection],
+                r: [edges[edges.length - 1][1], 0],
+                line: { color: 'rgb(31, 119, 180)', width: 3 },
+                marker: { symbol: ['circle', 'triangle-down'], size: [6, 10] }
+            }
+        ];
+
+        if (vessel && Number.isFinite(vessel.speed) && Number.isFinite(vessel.heading)) {
+            traces.push({
+                type: 'scatterpolar',
+                mode: 'markers',
+                name: `Vessel ${vessel.speed.toFixed(1)} kn, ${vessel.heading.toFixed(0)}°`,
+                theta: [vessel.heading],
+                r: [vessel.speed],
+                marker: { color: 'black', size: 12, symbol: 'x' }
+            });
+        }
+
+        const belowThreshold = values.flat().filter(value => value <= threshold).length;
+        const layout = {
+            title: {
+                text: `${this.result.position}, Hs = ${seaState.waveHeight.toFixed(1)} m, ` +
+                      `${(this.result.exposureTime / 3600).toFixed(1)} h exposure: ` +
+                      `${belowThreshold} of ${values.flat().length} speed/heading combinations ≤ ${threshold} ${unit}`,
+                font: { size: 14 }
+            },
+            polar: {
+                angularaxis: { rotation: 90, direction: 'clockwise', dtick: 30, ticksuffix: '°' },
+                radialaxis: { title: 'Speed [kn]', range: [0, edges[edges.length - 1][1]], angle: 90 }
+            },
+            margin: { l: 50, r: 50, t: 60, b: 40 },
+            height: 450,
+            showlegend: true,
+            legend: { x: 0, y: -0.05, orientation: 'h' }
+        };
+
+        // The number of traces varies, so redraw rather than update
+        Plotly.react(elementId, traces, layout);
+    }
+}
+
+// Create global instance
+window.PolarDiagram = PolarDiagram;
+window.polarDiagram = new PolarDiagram();
+
+// A diagram of another vessel no longer applies
+window.vesselProfiles.addEventListener('profileChanged', () => {
+    window.polarDiagram.result = null;
+});
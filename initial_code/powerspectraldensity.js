@@ -2,16 +2,47 @@
 class PowerSpectralDensity {
     constructor() {
         this.freqRAO = []; // Frequency array for RAO data
+        this.freqEncounter = []; // Encounter frequencies the response PSDs are given at
         this.charts = {
             combinedPSD: null,
             verticalMotionPSD: null,
-            msdv: null
+            msdv: null,
+            msi: null
         };
-        // Ship positions for MSDV calculation (meters from midships)
-        this.shipPositions = [-50, -30, -10, 0, 10, 30, 50];
-        // Ship positions to display in charts (excluding extreme positions)
-        this.displayPositions = [-30, -10, 0, 10, 30];
         this.T_exp = 1800; // Exposure time in seconds (30 minutes)
+        this.dose = new MotionSicknessDose(); // Dose accumulated as the voyage plays back
+        this.statsDuration = 4 * 3600; // Duration for most probable maxima in seconds (one watch)
+        // Latest vessel state (Sensor2) used to select the RAO set
+        this.vesselSpeed = 0;      // Speed over ground [knots]
+        this.vesselHeading = null; // Heading [deg], null until the first vessel reading
+        this.measurementTime = null; // Time of the latest vessel reading, for the measured motion
+    }
+
+    // Ship positions for MSDV calculation as { name, x, y, z }, from the active vessel profile
+    get shipPositions() {
+        return window.vesselProfiles.active.getPositions();
+    }
+
+    // Ship positions to display in charts
+    get displayPositions() {
+        return window.vesselProfiles.active.getDisplayPositions();
+    }
+
+    /**
+     * Relative wave heading for a vessel heading and a wave direction
+     * @param {number} [waveDirection] - Direction waves come from (deg), defaults to the
+     *                                   mean direction of the latest ERA5 sea state
+     * @param {number} [vesselHeading] - Vessel heading (deg), defaults to the latest Sensor2 heading
+     * @returns {number} Heading in the RAO convention (0° following seas, 180° head seas,
+     *                   90° waves from starboard, 270° from port)
+     */
+    getRelativeWaveHeading(waveDirection, vesselHeading = this.vesselHeading) {
+        const seaState = window.jonswapSpectrum.latestReading;
+        const direction = waveDirection !== undefined ? waveDirection : (seaState && seaState.waveDirection);
+        if (vesselHeading === null || !Number.isFinite(vesselHeading) || !Number.isFinite(direction)) {
+            return 0;
+        }
+        return window.raoVisualizer.calculateRelativeHeading(vesselHeading, direction);
     }
 
     /**
@@ -39,127 +70,367 @@ class PowerSpectralDensity {
     }
 
     /**
-     * Calculates displacement PSDs
+     * Encounter frequencies ωe = ω − ω²U·cos(β)/g, folded to positive values. In following
+     * and quartering seas a wave frequency above g/(2U·cos β) is overtaken by the ship and
+     * meets it at the same |ωe| as a lower wave frequency.
+     * @param {Array} omega - Wave frequencies (rad/s)
+     * @param {number} speed - Vessel speed (knots)
+     * @param {number} heading - Relative wave heading (degrees, 0 = following, 180 = head seas)
+     * @returns {Array} Encounter frequencies (rad/s)
      */
-    calculateDisplacementPSDs(heaveAmp, pitchAmp, heavePhase, pitchPhase, waveSpecInterp) {
-        // Convert phases from degrees to radians
-        const heavePhaseRad = heavePhase.map(phase => phase * Math.PI / 180);
-        const pitchPhaseRad = pitchPhase.map(phase => phase * Math.PI / 180);
-        
-        // Calculate PSDs according to formulas (matching MATLAB)
-        const heavePSD_unw = heaveAmp.map((amp, i) => Math.pow(amp, 2) * waveSpecInterp[i]);
-        const pitchPSD_unw = pitchAmp.map((amp, i) => Math.pow(amp, 2) * waveSpecInterp[i]);
-        
-        // Calculate cross PSD using phase difference in radians
-        const crossPSD_unw = heaveAmp.map((hAmp, i) => {
-            const phaseDiff = heavePhaseRad[i] - pitchPhaseRad[i];
-            return hAmp * pitchAmp[i] * Math.cos(phaseDiff) * waveSpecInterp[i];
+    calculateEncounterFrequencies(omega, speed, heading) {
+        const g = 9.81;
+        const U = speed * 0.514444;  // knots to m/s
+        const cosBeta = Math.cos(heading * Math.PI / 180);
+        return omega.map(w => Math.abs(w - w * w * U * cosBeta / g));
+    }
+
+    // Uniform encounter frequency grid from 0 to the highest ωe at this speed (head seas)
+    getEncounterGrid(omega, speed) {
+        const step = omega[1] - omega[0];
+        const omegaEMax = Math.max(...this.calculateEncounterFrequencies(omega, speed, 180));
+        const count = Math.ceil(omegaEMax / step + 1e-9) + 1;
+        return Array.from({ length: count }, (_, i) => i * step);
+    }
+
+    /**
+     * Maps a response spectrum from wave frequency to encounter frequency by energy
+     * binning. Each wave frequency interval is cut where its ωe crosses a grid point, and
+     * the energy S(ω)dω of each piece is shared between the two grid points around it in
+     * proportion to the distance of its energy centroid, which is exact for the linear
+     * spectrum within the interval. This conserves the variance, applies the Jacobian
+     * dω/dωe implicitly and adds up the branches of the multi-valued following-seas region.
+     * @param {Array} omega - Wave frequencies (rad/s)
+     * @param {Array} psd - Spectrum on omega
+     * @param {Array} omegaE - Encounter frequencies of omega, see calculateEncounterFrequencies
+     * @param {Array} grid - Uniform encounter frequency grid starting at 0
+     * @returns {Array} Spectrum on grid [unit/(rad/s)]
+     */
+    mapToEncounterFrequency(omega, psd, omegaE, grid) {
+        const step = grid[1] - grid[0];
+        const energy = grid.map(() => 0);
+
+        for (let i = 1; i < omega.length; i++) {
+            const a = omegaE[i - 1];
+            const b = omegaE[i];
+            const dOmega = omega[i] - omega[i - 1];
+            const density = t => psd[i - 1] + t * (psd[i] - psd[i - 1]);
+
+            // Fractions of the interval where ωe passes a grid point
+            const cuts = [0, 1];
+            for (let k = Math.ceil(Math.min(a, b) / step); k * step < Math.max(a, b); k++) {
+                const t = (k * step - a) / (b - a);
+                if (t > 0 && t < 1) cuts.push(t);
+            }
+            cuts.sort((x, y) => x - y);
+
+            for (let k = 1; k < cuts.length; k++) {
+                const t0 = cuts[k - 1];
+                const t1 = cuts[k];
+                const s0 = density(t0);
+                const s1 = density(t1);
+                const e = (s0 + s1) / 2 * (t1 - t0) * dOmega;
+                if (e === 0) continue;
+                // Centroid of the trapezoid of energy over the piece, the middle where a cross
+                // spectrum changes sign within it
+                const t = s0 * s1 > 0 ? t0 + (t1 - t0) * (s0 + 2 * s1) / (3 * (s0 + s1)) : (t0 + t1) / 2;
+                const we = a + t * (b - a);
+
+                const position = Math.min(we / step, grid.length - 1);
+                const j = Math.min(Math.floor(position), grid.length - 2);
+                const f = position - j;
+                energy[j] += (1 - f) * e;
+                energy[j + 1] += f * e;
+            }
+        }
+
+        // Grid points at the ends only collect half a step of energy
+        return energy.map((e, j) => e / (j === 0 || j === grid.length - 1 ? step / 2 : step));
+    }
+
+    // Complex RAO a·e^(iφ) at every frequency, phases in degrees
+    toComplexRAO({ amplitudes, phases }) {
+        return amplitudes.map((amp, i) => {
+            const phase = phases[i] * Math.PI / 180;
+            return { real: amp * Math.cos(phase), imag: amp * Math.sin(phase) };
+        });
+    }
+
+    /**
+     * Vertical displacement RAO of a point, Z = H − x·P + y·R, in the x forward, y to port,
+     * z up axes of the RAO files (pitch positive bow down, roll positive starboard down).
+     * @param {Array} heave - Complex heave RAO (m/m)
+     * @param {Array} pitch - Complex pitch RAO (rad/m)
+     * @param {Array|null} roll - Complex roll RAO (rad/m) for the side the waves come from, as
+     *                            RAOStore mirrors it, null without roll RAOs
+     * @param {Object} position - { x, y } in meters from the motion reference point of the RAOs,
+     *                            see VesselProfile.toReferenceFrame
+     * @returns {Array} Complex point RAO (m/m)
+     */
+    calculatePointRAO(heave, pitch, roll, { x, y = 0 }) {
+        return heave.map((H, i) => {
+            let Z = this.complexAdd(H, this.complexMultiply({ real: -x, imag: 0 }, pitch[i]));
+            if (roll && y !== 0) {
+                Z = this.complexAdd(Z, this.complexMultiply({ real: y, imag: 0 }, roll[i]));
+            }
+            return Z;
         });
+    }
 
-        return { heavePSD_unw, pitchPSD_unw, crossPSD_unw };
+    /**
+     * Vertical motion RAO of a point relative to the wave surface, R = Z − ζ with the wave
+     * elevation ζ = e^(−ik(x·cosβ + y·sinβ)) at the point for a unit wave at the reference point
+     * of the RAOs (where the files put the incident wave too), k = ω²/g
+     * @param {Array} pointRAO - Complex vertical displacement RAO of the point (m/m)
+     * @param {Array} frequencies - Wave frequencies (rad/s)
+     * @param {number} relativeHeading - Relative wave heading β (degrees, 180 = head seas, 0-360°
+     *                                   so that sinβ has the sign of the side waves come from)
+     * @param {Object} position - { x, y } in meters from the motion reference point of the RAOs
+     * @returns {Array} Complex relative motion RAO (m/m)
+     */
+    calculateRelativeMotionRAO(pointRAO, frequencies, relativeHeading, { x, y = 0 }) {
+        const beta = relativeHeading * Math.PI / 180;
+        const distance = x * Math.cos(beta) + y * Math.sin(beta);
+        return pointRAO.map((Z, i) => {
+            const phase = -Math.pow(frequencies[i], 2) / 9.81 * distance;
+            return { real: Z.real - Math.cos(phase), imag: Z.imag - Math.sin(phase) };
+        });
     }
 
     /**
-     * Converts displacement PSDs to acceleration PSDs
+     * Calculates displacement PSDs |RAO|²·S from complex RAOs.
+     * Heave amplitudes are in m/m, pitch and roll amplitudes in rad/m (converted from the
+     * deg/m in the .rao files by RAOFile.validate), phases in degrees.
+     * @param {Object} heaveData - Heave { periods, amplitudes, phases }, periods holding ω
+     * @param {Object} pitchData - Pitch { amplitudes, phases }
+     * @param {Object|null} rollData - Roll { amplitudes, phases }, null without roll RAOs
+     * @param {Array} positions - Ship positions as { name, x, y } in m from midships
+     * @param {Array} waveSpecInterp - Wave spectrum on the RAO frequencies
+     * @param {number} relativeHeading - Relative wave heading (degrees) of the spectrum
+     * @param {Object} [station] - { x, y } of the station for the relative motion PSD, from midships
+     * @returns {Object} { heavePSD_unw, pitchPSD_unw, crossPSD_unw, pointPSDs, pitchPointCrossPSDs,
+     *                   relativeMotionPSD }, the cross PSDs being Re(H·P*)·S and Re(P·Z*)·S per
+     *                   position, pointPSDs the vertical PSD per position name and
+     *                   relativeMotionPSD that of the station relative to the wave surface
      */
-    convertToAccelerationPSDs(freqRAO, { heavePSD_unw, pitchPSD_unw, crossPSD_unw }) {
-        // MATLAB uses different ω^4 scaling for heave vs pitch/cross
-        // Heave: (2π*f)^4 where f is in Hz equivalent
-        // Pitch/Cross: ω^4 where ω is in rad/s
-        
+    calculateDisplacementPSDs(heaveData, pitchData, rollData, positions, waveSpecInterp, relativeHeading, station) {
+        const heave = this.toComplexRAO(heaveData);
+        const pitch = this.toComplexRAO(pitchData);
+        const roll = rollData ? this.toComplexRAO(rollData) : null;
+
+        const heavePSD_unw = heave.map((H, i) => Math.pow(this.complexAbs(H), 2) * waveSpecInterp[i]);
+        const pitchPSD_unw = pitch.map((P, i) => Math.pow(this.complexAbs(P), 2) * waveSpecInterp[i]);
+        const crossPSD_unw = heave.map((H, i) => (H.real * pitch[i].real + H.imag * pitch[i].imag) * waveSpecInterp[i]);
+
+        // Every position gets its own transfer function, squared once; the lever arms are taken
+        // from the point the RAOs are given about, not from midships
+        const profile = window.vesselProfiles.active;
+        const pointPSDs = {};
+        const pitchPointCrossPSDs = {};
+        positions.forEach(position => {
+            const pointRAO = this.calculatePointRAO(heave, pitch, roll, profile.toReferenceFrame(position));
+            pointPSDs[position.name] = pointRAO
+                .map((Z, i) => Math.pow(this.complexAbs(Z), 2) * waveSpecInterp[i]);
+            pitchPointCrossPSDs[position.name] = pointRAO
+                .map((Z, i) => (pitch[i].real * Z.real + pitch[i].imag * Z.imag) * waveSpecInterp[i]);
+        });
+
+        const psds = { heavePSD_unw, pitchPSD_unw, crossPSD_unw, pointPSDs, pitchPointCrossPSDs };
+        if (station) {
+            const arm = profile.toReferenceFrame(station);
+            const pointRAO = this.calculatePointRAO(heave, pitch, roll, arm);
+            psds.relativeMotionPSD = this.calculateRelativeMotionRAO(pointRAO, heaveData.periods, relativeHeading, arm)
+                .map((R, i) => Math.pow(this.complexAbs(R), 2) * waveSpecInterp[i]);
+        }
+        return psds;
+    }
+
+    // Apply fn to every spectrum of a displacement or acceleration PSD set, including the
+    // spectra per position name
+    mapResponseSpectra(spectra, fn) {
+        const mapped = {};
+        Object.keys(spectra).forEach(key => {
+            mapped[key] = Array.isArray(spectra[key])
+                ? fn(spectra[key])
+                : this.mapResponseSpectra(spectra[key], fn);
+        });
+        return mapped;
+    }
+
+    // Add the spectra of two PSD sets with the same layout
+    addResponseSpectra(total, spectra) {
+        const sum = {};
+        Object.keys(total).forEach(key => {
+            sum[key] = Array.isArray(total[key])
+                ? total[key].map((v, i) => v + spectra[key][i])
+                : this.addResponseSpectra(total[key], spectra[key]);
+        });
+        return sum;
+    }
+
+    /**
+     * Displacement PSDs summed over wave partitions and directions, at encounter frequency.
+     * Each partition is spread over discrete directions S(ω,θ) = S(ω)·D(θ), and every
+     * direction is combined with the RAOs for its own relative heading, interpolated across
+     * all heading columns. The response of each direction is then mapped to encounter
+     * frequency with the vessel speed, since ωe depends on the heading.
+     * @param {Array} waveFreq - Wave spectrum frequencies (rad/s)
+     * @param {Array} components - { name, waveDirection, spectralDensities, directions } per partition
+     * @param {number} speed - Vessel speed (knots)
+     * @param {number} heading - Vessel heading (degrees)
+     * @param {Array} [positions] - Ship positions as { name, x, y }, defaults to shipPositions
+     * @returns {Object} { freqRAO, freqEncounter, heavePSD_unw, pitchPSD_unw, crossPSD_unw, pointPSDs,
+     *                   pitchPointCrossPSDs, relativeMotionPSD, extrapolation }, the PSDs being on
+     *                   freqEncounter, the relative motion at the slamming station of the vessel
+     *                   profile and extrapolation the RAO table notes of RAOStore, null without
+     */
+    calculatePartitionedDisplacementPSDs(waveFreq, components, speed, heading, positions = this.shipPositions) {
+        let freqRAO = null;
+        let freqEncounter = null;
+        let total = null;
+        const notes = new Set();
+        const hasRoll = window.vesselProfiles.active.hasRAO('roll');
+        const slammingStation = window.vesselProfiles.active.getSlammingStation();
+
+        components.forEach(component => {
+            // Long-crested unless the spectrum carries a directional distribution
+            const directions = component.directions || [{ direction: component.waveDirection, weight: 1 }];
+
+            directions.forEach(({ direction, weight }) => {
+                const relativeHeading = this.getRelativeWaveHeading(direction, heading);
+                const heaveData = window.raoStore.getInterpolatedRAO('heave', speed, relativeHeading);
+                const pitchData = window.raoStore.getInterpolatedRAO('pitch', speed, relativeHeading);
+                const rollData = hasRoll ? window.raoStore.getInterpolatedRAO('roll', speed, relativeHeading) : null;
+                if (!heaveData || !pitchData || (hasRoll && !rollData)) {
+                    throw new Error('Failed to get RAO data');
+                }
+                [heaveData, pitchData, rollData].forEach(data => data && data.extrapolation && notes.add(data.extrapolation));
+
+                // Interpolate this direction's share of the spectrum to RAO frequencies
+                freqRAO = heaveData.periods;
+                const waveSpecInterp = this.interpolateWaveSpectrum(waveFreq, component.spectralDensities, freqRAO)
+                    .map(value => value * weight);
+                const psds = this.calculateDisplacementPSDs(
+                    heaveData,
+                    pitchData,
+                    rollData,
+                    positions,
+                    waveSpecInterp,
+                    relativeHeading,
+                    slammingStation
+                );
+
+                // Move to encounter frequency, all directions share one grid
+                freqEncounter = freqEncounter || this.getEncounterGrid(freqRAO, speed);
+                const omegaE = this.calculateEncounterFrequencies(freqRAO, speed, relativeHeading);
+                const encounter = this.mapResponseSpectra(psds, psd =>
+                    this.mapToEncounterFrequency(freqRAO, psd, omegaE, freqEncounter));
+
+                // Partitions and directions are independent, so their response spectra add
+                total = total === null ? encounter : this.addResponseSpectra(total, encounter);
+            });
+        });
+
+        return { freqRAO, freqEncounter, ...total, extrapolation: notes.size > 0 ? [...notes].join('; ') : null };
+    }
+
+    /**
+     * Converts displacement PSDs to acceleration PSDs. The acceleration RAO is −ω²·RAO, so
+     * every PSD, translational or rotational, is multiplied by ω⁴ at the (encounter) frequency.
+     * @returns {Object} { accHeavePSD, accPitchPSD, accCrossPSD, accPointPSDs }
+     */
+    convertToAccelerationPSDs(frequencies, { heavePSD_unw, pitchPSD_unw, crossPSD_unw, pointPSDs }) {
+        const toAcceleration = psd => psd.map((value, i) => value * Math.pow(frequencies[i], 4));
         return {
-            accHeavePSD: heavePSD_unw.map((psd, i) => {
-                // For heave: (2π*freqRAO)^4 - MATLAB convention
-                return psd * Math.pow(2 * Math.PI * freqRAO[i], 4);
-            }),
-            accPitchPSD: pitchPSD_unw.map((psd, i) => {
-                // For pitch: ω^4 - standard convention
-                return psd * Math.pow(freqRAO[i], 4);
-            }),
-            accCrossPSD: crossPSD_unw.map((psd, i) => {
-                // For cross: ω^4 - standard convention
-                return psd * Math.pow(freqRAO[i], 4);
-            })
+            accHeavePSD: toAcceleration(heavePSD_unw),
+            accPitchPSD: toAcceleration(pitchPSD_unw),
+            accCrossPSD: toAcceleration(crossPSD_unw),
+            accPointPSDs: this.mapResponseSpectra(pointPSDs, toAcceleration)
         };
     }
 
     /**
-     * Applies ISO-2631 Wf weighting to acceleration PSDs
+     * Applies ISO-2631 Wf weighting to acceleration PSDs: band limiting at 0.08 and 0.63 Hz,
+     * acceleration-velocity transition at 0.25 Hz (f3 = ∞) and the upward step at 0.0625-0.1 Hz,
+     * each pole pair with its quality factor Q as in ISO 2631-1 Table A.1
      */
     applyWfWeighting(omega, PSD) {
         const pi2 = 2 * Math.PI;
-        const omega1 = pi2 * 0.08;  const zeta1 = 1 / Math.sqrt(2);
-        const omega2 = pi2 * 0.63;  const zeta2 = 1 / Math.sqrt(2);
-        const omega3 = pi2 * 3.5;
-        const omega4 = pi2 * 0.25;  const zeta4 = 0.86;
-        const omega5 = pi2 * 0.06;  const zeta5 = 0.80;
-        const omega6 = pi2 * 0.10;  const zeta6 = 0.80;
+        const omega1 = pi2 * 0.08;    const Q1 = 0.71;
+        const omega2 = pi2 * 0.63;    const Q2 = 0.71;
+        const omega4 = pi2 * 0.25;    const Q4 = 0.86;
+        const omega5 = pi2 * 0.0625;  const Q5 = 0.80;
+        const omega6 = pi2 * 0.1;     const Q6 = 0.80;
+
+        // Second-order polynomial s² + s·ω0/Q + ω0²
+        const quadratic = (s, omega0, Q) => this.complexAdd(
+            this.complexAdd(
+                this.complexMultiply(s, s),
+                this.complexMultiply({ real: omega0 / Q, imag: 0 }, s)
+            ),
+            { real: Math.pow(omega0, 2), imag: 0 }
+        );
 
         return omega.map((w, i) => {
-            // Create complex number s = iω
             const s = { real: 0, imag: w };
-            
-            // Calculate transfer functions
-            const Hh = this.complexDivide(
-                this.complexMultiply(s, s),
-                this.complexAdd(
-                    this.complexAdd(
-                        this.complexMultiply(s, s),
-                        this.complexMultiply({ real: 2 * zeta1 * omega1, imag: 0 }, s)
-                    ),
-                    { real: Math.pow(omega1, 2), imag: 0 }
-                )
-            );
 
-            const Hl = this.complexDivide(
-                { real: Math.pow(omega2, 2), imag: 0 },
-                this.complexAdd(
-                    this.complexAdd(
-                        this.complexMultiply(s, s),
-                        this.complexMultiply({ real: 2 * zeta2 * omega2, imag: 0 }, s)
-                    ),
-                    { real: Math.pow(omega2, 2), imag: 0 }
-                )
+            const Hh = this.complexDivide(this.complexMultiply(s, s), quadratic(s, omega1, Q1));
+            const Hl = this.complexDivide({ real: Math.pow(omega2, 2), imag: 0 }, quadratic(s, omega2, Q2));
+            const Ht = this.complexDivide({ real: Math.pow(omega4, 2), imag: 0 }, quadratic(s, omega4, Q4));
+            const Hs = this.complexDivide(quadratic(s, omega5, Q5), quadratic(s, omega6, Q6));
+
+            const Wf = this.complexMultiply(
+                this.complexMultiply(Hh, Hl),
+                this.complexMultiply(Ht, Hs)
             );
 
+            return Math.pow(this.complexAbs(Wf), 2) * PSD[i];
+        });
+    }
+
+    /**
+     * Applies ISO 2631-1 Wk weighting (vertical whole-body vibration for comfort and health)
+     * to acceleration PSDs: band limiting 0.4-100 Hz, a-v transition at 12.5 Hz and the
+     * upward step between 2.37 and 3.35 Hz
+     */
+    applyWkWeighting(omega, PSD) {
+        const pi2 = 2 * Math.PI;
+        const omega1 = pi2 * 0.4;   const Q1 = 1 / Math.sqrt(2);
+        const omega2 = pi2 * 100;   const Q2 = 1 / Math.sqrt(2);
+        const omega3 = pi2 * 12.5;
+        const omega4 = pi2 * 12.5;  const Q4 = 0.63;
+        const omega5 = pi2 * 2.37;  const Q5 = 0.91;
+        const omega6 = pi2 * 3.35;  const Q6 = 0.91;
+
+        // Second-order polynomial s² + s·ω0/Q + ω0²
+        const quadratic = (s, omega0, Q) => this.complexAdd(
+            this.complexAdd(
+                this.complexMultiply(s, s),
+                this.complexMultiply({ real: omega0 / Q, imag: 0 }, s)
+            ),
+            { real: Math.pow(omega0, 2), imag: 0 }
+        );
+
+        return omega.map((w, i) => {
+            const s = { real: 0, imag: w };
+
+            const Hh = this.complexDivide(this.complexMultiply(s, s), quadratic(s, omega1, Q1));
+            const Hl = this.complexDivide({ real: Math.pow(omega2, 2), imag: 0 }, quadratic(s, omega2, Q2));
             const Ht = this.complexDivide(
                 this.complexAdd(
                     this.complexMultiply({ real: Math.pow(omega4, 2) / omega3, imag: 0 }, s),
                     { real: Math.pow(omega4, 2), imag: 0 }
                 ),
-                this.complexAdd(
-                    this.complexAdd(
-                        this.complexMultiply(s, s),
-                        this.complexMultiply({ real: 2 * zeta4 * omega4, imag: 0 }, s)
-                    ),
-                    { real: Math.pow(omega4, 2), imag: 0 }
-                )
+                quadratic(s, omega4, Q4)
             );
+            const Hs = this.complexDivide(quadratic(s, omega5, Q5), quadratic(s, omega6, Q6));
 
-            const Hs = this.complexDivide(
-                this.complexAdd(
-                    this.complexAdd(
-                        this.complexMultiply(s, s),
-                        this.complexMultiply({ real: 2 * zeta5 * omega5, imag: 0 }, s)
-                    ),
-                    { real: Math.pow(omega5, 2), imag: 0 }
-                ),
-                this.complexAdd(
-                    this.complexAdd(
-                        this.complexMultiply(s, s),
-                        this.complexMultiply({ real: 2 * zeta6 * omega6, imag: 0 }, s)
-                    ),
-                    { real: Math.pow(omega6, 2), imag: 0 }
-                )
-            );
-
-            // Calculate final weighting
-            const Wf = this.complexMultiply(
+            const Wk = this.complexMultiply(
                 this.complexMultiply(Hh, Hl),
                 this.complexMultiply(Ht, Hs)
             );
 
-            return Math.pow(this.complexAbs(Wf), 2) * PSD[i];
+            return Math.pow(this.complexAbs(Wk), 2) * PSD[i];
         });
     }
 
@@ -188,65 +459,299 @@ class PowerSpectralDensity {
     }
 
     /**
-     * Calculate total vertical motion PSD at different ship positions
-     * @param {Array} L_positions - Ship positions from midships (meters)
-     * @param {Array} wHeavePSD - Weighted heave PSD
-     * @param {Array} wPitchPSD - Weighted pitch PSD  
-     * @param {Array} wCrossPSD - Weighted cross PSD
-     * @returns {Object} Object with positions and corresponding PSDs
-     */
-    calculateVerticalMotionPSD(L_positions, wHeavePSD, wPitchPSD, wCrossPSD) {
-        const verticalPSDs = {};
-        
-        L_positions.forEach(L => {
-            // S_yy = S_aa_heave + L^2 * S_aa_pitch + 2*L * S_aa_cross
-            const S_yy = wHeavePSD.map((heave, i) => {
-                return heave + Math.pow(L, 2) * wPitchPSD[i] + 2 * L * wCrossPSD[i];
-            });
-            verticalPSDs[L] = S_yy;
-        });
-        
-        return verticalPSDs;
-    }
-
-    /**
-     * Calculate MSDV (Motion Sickness Dose Value) for different ship positions
+     * RMS acceleration at different ship positions, a_rms = sqrt(∫ S(ω) dω)
      * @param {Object} verticalPSDs - Vertical motion PSDs for different positions
      * @param {Array} frequencies - Frequency array in rad/s
-     * @returns {Object} MSDV values for each position
+     * @returns {Object} RMS acceleration (m/s²) for each position
      */
-    calculateMSDV(verticalPSDs, frequencies) {
-        const msdvValues = {};
-        
+    calculateRMS(verticalPSDs, frequencies) {
+        const rmsValues = {};
+
         Object.keys(verticalPSDs).forEach(position => {
             const S_yy = verticalPSDs[position];
-            
-            // Calculate MSDV by integrating the weighted PSD directly
-            // MSDV = sqrt(∫ S_weighted(ω) dω) over the exposure time
-            // Note: S_yy is already weighted, so we integrate directly
-            
+
             let integral = 0;
             for (let i = 1; i < frequencies.length; i++) {
                 const dω = frequencies[i] - frequencies[i-1];
                 const avgPSD = (S_yy[i] + S_yy[i-1]) / 2;
                 integral += avgPSD * dω;
             }
-            
-            // MSDV = sqrt(integral) - units: m/s^1.5
-            // Note: No T_exp multiplication needed as MATLAB shows MSDV = sqrt(∫S_weighted dω)
-            const msdv = Math.sqrt(integral);
-            msdvValues[position] = msdv;
+            rmsValues[position] = Math.sqrt(integral);
         });
-        
+
+        return rmsValues;
+    }
+
+    /**
+     * Calculate MSDV (Motion Sickness Dose Value) for different ship positions
+     * @param {Object} verticalPSDs - Wf-weighted vertical motion PSDs for different positions
+     * @param {Array} frequencies - Frequency array in rad/s
+     * @param {number} [exposureTime] - Exposure time in seconds, defaults to T_exp
+     * @returns {Object} MSDV values (m/s^1.5) for each position
+     */
+    calculateMSDV(verticalPSDs, frequencies, exposureTime = this.T_exp) {
+        const msdvValues = {};
+        const rmsValues = this.calculateRMS(verticalPSDs, frequencies);
+
+        // MSDV = a_w,rms·√T for a sea state that holds over the exposure time
+        Object.keys(rmsValues).forEach(position => {
+            msdvValues[position] = MotionSicknessDose.calculateMSDV(rmsValues[position], exposureTime);
+        });
+
         return msdvValues;
     }
 
+    /**
+     * Predicted motion sickness incidence (% vomiting) for each ship position
+     * @param {Object} msdvValues - MSDV per position, see calculateMSDV
+     * @param {Object} verticalPSDs - Unweighted vertical acceleration PSDs per position
+     * @param {Array} frequencies - Frequency array in rad/s
+     * @param {number} [exposureTime] - Exposure time in seconds, defaults to T_exp
+     * @returns {Object} { iso, ohanlon } with MSI values per position
+     */
+    calculateMSI(msdvValues, verticalPSDs, frequencies, exposureTime = this.T_exp) {
+        const iso = {};
+        const ohanlon = {};
+        const rmsValues = this.calculateRMS(verticalPSDs, frequencies);
+
+        Object.keys(msdvValues).forEach(position => {
+            iso[position] = this.dose.calculateIncidence(msdvValues[position]);
+
+            // Mean frequency m1/m0 of the acceleration spectrum as the dominant frequency (Hz)
+            const S = verticalPSDs[position];
+            const m0 = this.trapezoidalIntegration(frequencies, S);
+            const m1 = this.trapezoidalIntegration(frequencies, S.map((value, i) => value * frequencies[i]));
+            const frequency = m0 > 0 ? m1 / m0 / (2 * Math.PI) : 0;
+            ohanlon[position] = MotionSicknessDose.calculateOHanlonIncidence(rmsValues[position], frequency, exposureTime);
+        });
+
+        return { iso, ohanlon };
+    }
+
+    // Helper method: Trapezoidal integration
+    trapezoidalIntegration(x, y) {
+        let integral = 0;
+        for (let i = 1; i < x.length; i++) {
+            integral += 0.5 * (y[i] + y[i-1]) * (x[i] - x[i-1]);
+        }
+        return integral;
+    }
+
+    /**
+     * Short-term statistics of the wave and response spectra for the statistics panels
+     * @param {Object} waveSpectrum - { frequencies, spectralDensities }
+     * @param {Object} response - Result of computeResponse()
+     * @param {number} [duration] - Duration for the most probable maxima (s), defaults to statsDuration
+     * @returns {Object} { combined, vertical }, each a list of { label, unit, stats }
+     */
+    calculateStatistics(waveSpectrum, response, duration = this.statsDuration) {
+        const { freqEncounter } = response;
+        const toDeg2 = Math.pow(180 / Math.PI, 2);
+
+        const combined = [
+            {
+                label: 'Wave elevation',
+                unit: 'm',
+                stats: SpectralStatistics.calculate(waveSpectrum.frequencies, waveSpectrum.spectralDensities, duration)
+            },
+            {
+                label: 'Heave',
+                unit: 'm',
+                stats: SpectralStatistics.calculate(freqEncounter, response.heavePSD, duration)
+            },
+            {
+                label: 'Pitch',
+                unit: 'deg',
+                stats: SpectralStatistics.calculate(freqEncounter, response.pitchPSD.map(v => v * toDeg2), duration)
+            }
+        ];
+
+        // Unweighted vertical acceleration, what an accelerometer at the position would read
+        const vertical = this.displayPositions.map(position => ({
+            label: position.name,
+            unit: 'm/s²',
+            stats: SpectralStatistics.calculate(freqEncounter, response.accPointPSDs[position.name], duration)
+        }));
+
+        return { combined, vertical };
+    }
+
+    // Render one statistics table, a column per series
+    renderStatistics(elementId, series) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        const format = value => Number.isFinite(value) ? (Math.abs(value) >= 1000 || (value !== 0 && Math.abs(value) < 0.01)
+            ? value.toExponential(2) : value.toFixed(3)) : '--';
+        const hours = series.length > 0 ? (series[0].stats.duration / 3600).toFixed(1) : '--';
+        const rows = [
+            ['m0', s => s.stats.m0],
+            ['m2', s => s.stats.m2],
+            ['m4', s => s.stats.m4],
+            ['Tz [s]', s => s.stats.Tz],
+            ['Bandwidth ε', s => s.stats.epsilon],
+            ['RMS', s => s.stats.rms],
+            ['Significant amplitude', s => s.stats.significant],
+            [`Most probable max (${hours} h)`, s => s.stats.mpm]
+        ];
+
+        element.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th></th>${series.map(s => `<th>${s.label} [${s.unit}]</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([name, value]) => `<tr><td>${name}</td>${series.map(s => `<td>${format(value(s))}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Render the ISO 2631-1 comfort and health table, a row per displayed position
+    renderComfort(elementId, comfort, voyage, exposureTime) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        const zones = ComfortAssessment.HEALTH_ZONE_NAMES;
+        const hours = (exposureTime / 3600).toFixed(1);
+        const rows = this.displayPositions.map(position => {
+            const result = comfort[position.name];
+            const voyageVDV = voyage.vdvValues[position.name];
+            return `<tr>
+                <td>${position.name}</td>
+                <td>${result.rms.toFixed(3)}</td>
+                <td>${result.band}</td>
+                <td>${result.vdv.toFixed(2)}</td>
+                <td>${zones[result.health]}</td>
+                <td>${voyageVDV !== undefined ? voyageVDV.toFixed(2) : '--'}</td>
+                <td>${voyageVDV !== undefined ? zones[voyage.healthValues[position.name]] : '--'}</td>
+            </tr>`;
+        });
+
+        element.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Position</th>
+                        <th>a<sub>w</sub> Wk RMS [m/s²]</th>
+                        <th>Comfort</th>
+                        <th>eVDV ${hours} h [m/s¹·⁷⁵]</th>
+                        <th>Health ${hours} h</th>
+                        <th>Voyage VDV [m/s¹·⁷⁵]</th>
+                        <th>Health (voyage)</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // Change the duration (s) of the most probable maxima and recalculate
+    async setStatisticsDuration(duration) {
+        this.statsDuration = duration;
+        return this.updatePSDs();
+    }
+
+    // Change the exposure time (s) of the MSDV and MSI results and recalculate
+    async setExposureTime(exposureTime) {
+        this.T_exp = exposureTime;
+        return this.updatePSDs();
+    }
+
+    /**
+     * Response of the vessel to a sea state, without touching charts or stored state so the
+     * Research and Bridge views can both use it. The RAO files must be loaded (raoStore.whenReady()).
+     * @param {Object} waveSpectrum - { frequencies, spectralDensities, components } as returned by
+     *                                JonswapSpectrum.getSpectrum() or calculateSeaStateSpectrum()
+     * @param {number} speed - Vessel speed over ground (knots)
+     * @param {number} heading - Vessel heading (degrees)
+     * @param {number} [exposureTime] - Exposure time in seconds, defaults to T_exp
+     * @param {Array} [positions] - Ship positions to evaluate, defaults to all of the vessel profile
+     * @returns {Object} { freqRAO, freqEncounter, heavePSD, pitchPSD, accPointPSDs, wHeavePSD, wPitchPSD,
+     *                   wCrossPSD, verticalMotionPSDs, rmsValues, msdvValues, msiValues, wkRmsValues,
+     *                   comfort, pitchPointCrossPSDs, relativeMotionPSD, exposureTime, extrapolation },
+     *                   heave/pitch being displacement PSDs, accPointPSDs the unweighted vertical
+     *                   acceleration PSD, the values per ship position and extrapolation a note on
+     *                   RAOs taken from the end of their table, null within it
+     */
+    computeResponse(waveSpectrum, speed, heading, exposureTime = this.T_exp, positions = this.shipPositions) {
+        // 2-4. Displacement PSDs of each wave partition, with RAOs for its own relative heading
+        const components = waveSpectrum.components && waveSpectrum.components.length > 0
+            ? waveSpectrum.components
+            : [{ name: 'Combined sea', spectralDensities: waveSpectrum.spectralDensities }];
+        const { freqRAO, freqEncounter, extrapolation, ...displacementPSDs } = this.calculatePartitionedDisplacementPSDs(
+            waveSpectrum.frequencies,
+            components,
+            speed,
+            heading,
+            positions
+        );
+
+        // 5. Convert to acceleration PSDs, the ship oscillates at the encounter frequency
+        const accelerationPSDs = this.convertToAccelerationPSDs(freqEncounter, displacementPSDs);
+
+        // 6. Apply ISO-2631 Wf weighting at the encounter frequency
+        const weightedPSDs = {
+            wHeavePSD: this.applyWfWeighting(freqEncounter, accelerationPSDs.accHeavePSD),
+            wPitchPSD: this.applyWfWeighting(freqEncounter, accelerationPSDs.accPitchPSD),
+            wCrossPSD: this.applyWfWeighting(freqEncounter, accelerationPSDs.accCrossPSD)
+        };
+
+        // 7. Weighted vertical acceleration PSD at each ship position, |Wf·(−ω²)·Z|²·S
+        const verticalMotionPSDs = {};
+        Object.keys(accelerationPSDs.accPointPSDs).forEach(name => {
+            verticalMotionPSDs[name] = this.applyWfWeighting(freqEncounter, accelerationPSDs.accPointPSDs[name]);
+        });
+
+        // 8. Calculate MSDV values over the exposure time
+        const rmsValues = this.calculateRMS(verticalMotionPSDs, freqEncounter);
+        const msdvValues = this.calculateMSDV(verticalMotionPSDs, freqEncounter, exposureTime);
+
+        // 9. Motion sickness incidence, O'Hanlon & McCauley takes the unweighted acceleration
+        const msiValues = this.calculateMSI(msdvValues, accelerationPSDs.accPointPSDs, freqEncounter, exposureTime);
+
+        // 10. ISO 2631-1 comfort and health from the Wk-weighted vertical acceleration
+        const wkVerticalPSDs = {};
+        Object.keys(accelerationPSDs.accPointPSDs).forEach(name => {
+            wkVerticalPSDs[name] = this.applyWkWeighting(freqEncounter, accelerationPSDs.accPointPSDs[name]);
+        });
+        const wkRmsValues = this.calculateRMS(wkVerticalPSDs, freqEncounter);
+        const comfort = ComfortAssessment.assess(wkRmsValues, exposureTime);
+
+        return {
+            freqRAO,
+            freqEncounter,
+            heavePSD: displacementPSDs.heavePSD_unw,
+            pitchPSD: displacementPSDs.pitchPSD_unw,
+            accPointPSDs: accelerationPSDs.accPointPSDs,
+            ...weightedPSDs,
+            verticalMotionPSDs,
+            rmsValues,
+            msdvValues,
+            msiValues,
+            wkRmsValues,
+            comfort,
+            pitchPointCrossPSDs: displacementPSDs.pitchPointCrossPSDs,
+            relativeMotionPSD: displacementPSDs.relativeMotionPSD,
+            exposureTime,
+            extrapolation
+        };
+    }
+
     /**
      * Main function to update PSDs
+     * @param {number} [speed] - Vessel speed over ground (knots), keeps the last value if omitted
+     * @param {number} [heading] - Vessel heading (degrees), keeps the last value if omitted
+     * @param {Date} [timestamp] - Time of the vessel reading, adds to the voyage dose and picks the
+     *                            measured motion shown if given
      */
-    async updatePSDs() {
+    async updatePSDs(speed, heading, timestamp) {
         try {
             console.log('Starting updatePSDs...');
+
+            // Spectrum updates call this without arguments, so remember the latest vessel state
+            if (Number.isFinite(speed)) this.vesselSpeed = speed;
+            if (Number.isFinite(heading)) this.vesselHeading = heading;
             
             // 1. Get JONSWAP spectrum
             let waveSpectrum = await window.jonswapSpectrum.getSpectrum();
@@ -275,74 +780,44 @@ class PowerSpectralDensity {
                 return null;
             }
 
-            // 2. Get RAO data
-            console.log('Fetching RAO data...');
-            const heaveData = await window.raoVisualizer.loadRAOFile('heave', 0, 0);
-            const pitchData = await window.raoVisualizer.loadRAOFile('pitch', 0, 0);
-            console.log('Heave Data:', heaveData);
-            console.log('Pitch Data:', pitchData);
-            
-            if (!heaveData || !pitchData) {
-                throw new Error('Failed to get RAO data');
-            }
+            // 2-10. Response at every ship position for the latest vessel state
+            await window.raoStore.whenReady();
+            const response = this.computeResponse(waveSpectrum, this.vesselSpeed, this.vesselHeading);
 
-            // Store RAO frequencies
-            this.freqRAO = heaveData.periods;
-            console.log('RAO Frequencies:', this.freqRAO);
+            // Store RAO frequencies and the encounter frequencies the PSDs are given at
+            this.freqRAO = response.freqRAO;
+            this.freqEncounter = response.freqEncounter;
 
-            // 3. Interpolate wave spectrum to RAO frequencies
-            const waveSpecInterp = this.interpolateWaveSpectrum(
-                waveSpectrum.frequencies,
-                waveSpectrum.spectralDensities,
-                this.freqRAO
-            );
-            console.log('Interpolated Wave Spectrum:', waveSpecInterp);
-
-            // 4. Calculate displacement PSDs
-            const displacementPSDs = this.calculateDisplacementPSDs(
-                heaveData.amplitudes,
-                pitchData.amplitudes,
-                heaveData.phases,
-                pitchData.phases,
-                waveSpecInterp
-            );
-            console.log('Displacement PSDs:', displacementPSDs);
+            // 11. Add this sea state to the dose of the voyage so far
+            if (timestamp instanceof Date && !isNaN(timestamp.getTime())) {
+                this.dose.accumulate(timestamp, response.rmsValues, response.wkRmsValues);
+                this.measurementTime = timestamp;
+            }
+            const voyage = this.dose.getVoyageDose();
 
-            // 5. Convert to acceleration PSDs
-            const accelerationPSDs = this.convertToAccelerationPSDs(this.freqRAO, displacementPSDs);
-            console.log('Acceleration PSDs:', accelerationPSDs);
+            // 12. Spectral statistics of the wave and the responses
+            const statistics = this.calculateStatistics(waveSpectrum, response);
 
-            // 6. Apply ISO-2631 Wf weighting
-            const weightedPSDs = {
-                wHeavePSD: this.applyWfWeighting(this.freqRAO, accelerationPSDs.accHeavePSD),
-                wPitchPSD: this.applyWfWeighting(this.freqRAO, accelerationPSDs.accPitchPSD),
-                wCrossPSD: this.applyWfWeighting(this.freqRAO, accelerationPSDs.accCrossPSD)
-            };
-            console.log('Final Weighted PSDs:', weightedPSDs);
-
-            // 7. Calculate vertical motion PSD at different ship positions
-            const verticalMotionPSDs = this.calculateVerticalMotionPSD(
-                this.shipPositions,
-                weightedPSDs.wHeavePSD,
-                weightedPSDs.wPitchPSD,
-                weightedPSDs.wCrossPSD
-            );
-            console.log('Vertical Motion PSDs:', verticalMotionPSDs);
+            // 13. Operability of every crew station against the limiting criteria
+            const operability = window.operabilityAnalysis.evaluate(response);
 
-            // 8. Calculate MSDV values
-            const msdvValues = this.calculateMSDV(verticalMotionPSDs, this.freqRAO);
-            console.log('MSDV Values:', msdvValues);
+            // 14. Measured motion of the sea state at the latest vessel reading, once validated
+            const measured = this.measurementTime ? window.motionValidation.getWindowAt(this.measurementTime) : null;
 
             const results = {
-                ...weightedPSDs,
-                verticalMotionPSDs,
-                msdvValues
+                ...response,
+                voyage,
+                statistics,
+                operability,
+                measured
             };
 
             // Update charts with new data
-            console.log('Updating charts with frequencies:', this.freqRAO);
+            console.log('Updating charts with frequencies:', this.freqEncounter);
             console.log('And results:', results);
-            this.updateCharts(this.freqRAO, results);
+            this.updateCharts(this.freqEncounter, results);
+            const note = document.getElementById('psdExtrapolation');
+            if (note) note.textContent = response.extrapolation ? `RAOs extrapolated: ${response.extrapolation}` : '';
 
             this.lastUpdate = Date.now();
             return results;
@@ -364,12 +839,15 @@ class PowerSpectralDensity {
         if (this.charts.msdv) {
             Plotly.purge('msdvChart');
         }
+        if (this.charts.msi) {
+            Plotly.purge('msiChart');
+        }
         
         // Initialize Combined PSD Chart
         const combinedLayout = {
             xaxis: { 
-                title: 'Circular frequency [rad/s]',
-                range: [0, 1.5],
+                title: 'Encounter frequency ωe [rad/s]',
+                range: [0, 3],
                 dtick: 0.5,
                 showgrid: true,
                 gridcolor: 'rgba(128, 128, 128, 0.2)',
@@ -438,8 +916,8 @@ class PowerSpectralDensity {
         // Initialize Vertical Motion PSD Chart
         const verticalLayout = {
             xaxis: { 
-                title: 'Circular frequency [rad/s]',
-                range: [0, 1.5],
+                title: 'Encounter frequency ωe [rad/s]',
+                range: [0, 3],
                 dtick: 0.5,
                 showgrid: true,
                 gridcolor: 'rgba(128, 128, 128, 0.2)',
@@ -468,9 +946,22 @@ class PowerSpectralDensity {
                     x: [],
                     y: [],
                     type: 'scatter',
-                    name: `L = ${pos}m`,
+                    name: pos.name,
+                    line: {
+                        width: 2,
+                        color: `hsl(${index * 360 / this.displayPositions.length}, 70%, 50%)`
+                    }
+                }));
+                // Measured PSDs dotted in the colour of their position, shown once validated
+                this.displayPositions.forEach((pos, index) => traces.push({
+                    x: [],
+                    y: [],
+                    type: 'scatter',
+                    name: `${pos.name} (measured)`,
+                    showlegend: false,
                     line: {
                         width: 2,
+                        dash: 'dot',
                         color: `hsl(${index * 360 / this.displayPositions.length}, 70%, 50%)`
                     }
                 }));
@@ -485,13 +976,13 @@ class PowerSpectralDensity {
         // Initialize MSDV Chart
         const msdvLayout = {
             xaxis: { 
-                title: 'Position from Midships [m]',
+                title: 'Ship Position',
                 showgrid: true,
                 gridcolor: 'rgba(128, 128, 128, 0.2)',
                 type: 'category', // This ensures equal spacing between bars
                 tickmode: 'array',
                 tickvals: this.displayPositions.map((pos, index) => index),
-                ticktext: this.displayPositions.map(pos => `${pos}m`)
+                ticktext: this.displayPositions.map(pos => pos.name)
             },
             yaxis: { 
                 title: 'MSDV [m/s^1.5]',
@@ -523,7 +1014,7 @@ class PowerSpectralDensity {
                     x: [index], // Use index for equal spacing
                     y: [0], // Initialize with 0
                     type: 'bar',
-                    name: `L = ${pos}m`,
+                    name: pos.name,
                     marker: {
                         color: colors[index],
                         opacity: 0.8
@@ -531,6 +1022,20 @@ class PowerSpectralDensity {
                     width: 0.4, // Make bars thinner and more elegant
                     showlegend: true
                 }));
+                // Measured MSDV as markers over the bars, shown once validated
+                traces.push({
+                    x: [],
+                    y: [],
+                    type: 'scatter',
+                    mode: 'markers',
+                    name: 'Measured',
+                    showlegend: false,
+                    marker: {
+                        symbol: 'diamond',
+                        size: 12,
+                        color: 'rgb(44, 62, 80)'
+                    }
+                });
                 
                 this.charts.msdv = Plotly.newPlot('msdvChart', traces, msdvLayout);
                 console.log('MSDV chart initialized successfully');
@@ -538,6 +1043,55 @@ class PowerSpectralDensity {
                 console.error('Failed to initialize MSDV chart:', error);
             }
         }
+
+        // Initialize MSI Chart, grouped bars per position for each prediction
+        const msiLayout = {
+            barmode: 'group',
+            xaxis: {
+                title: 'Ship Position',
+                showgrid: true,
+                gridcolor: 'rgba(128, 128, 128, 0.2)',
+                type: 'category'
+            },
+            yaxis: {
+                title: 'MSI [% vomiting]',
+                autorange: true,
+                showgrid: true,
+                gridcolor: 'rgba(128, 128, 128, 0.2)'
+            },
+            margin: { l: 60, r: 50, t: 20, b: 50 },
+            height: 450,
+            showlegend: true,
+            legend: {
+                x: 1,
+                xanchor: 'right',
+                y: 1
+            }
+        };
+
+        const msiElement = document.getElementById('msiChart');
+        if (msiElement) {
+            try {
+                console.log('Initializing MSI chart...');
+                const names = this.displayPositions.map(pos => pos.name);
+                const traces = [
+                    { name: 'ISO 2631-1 (exposure time)', color: 'rgb(31, 119, 180)' },
+                    { name: "O'Hanlon & McCauley (exposure time)", color: 'rgb(255, 127, 14)' },
+                    { name: 'ISO 2631-1 (voyage so far)', color: 'rgb(44, 160, 44)' }
+                ].map(trace => ({
+                    x: names,
+                    y: names.map(() => 0),
+                    type: 'bar',
+                    name: trace.name,
+                    marker: { color: trace.color, opacity: 0.8 }
+                }));
+
+                this.charts.msi = Plotly.newPlot('msiChart', traces, msiLayout);
+                console.log('MSI chart initialized successfully');
+            } catch (error) {
+                console.error('Failed to initialize MSI chart:', error);
+            }
+        }
     }
 
     updateCharts(frequencies, results) {
@@ -574,9 +1128,21 @@ class PowerSpectralDensity {
             try {
                 console.log('Updating Vertical Motion PSD chart...');
                 
+                // Measured PSDs after the predicted ones, empty for positions not measured
+                const measuredPSDs = this.displayPositions.map(pos => results.measured?.measuredPSDs[pos.name]);
                 const verticalUpdate = {
-                    'x': this.displayPositions.map(() => frequencies),
-                    'y': this.displayPositions.map(pos => results.verticalMotionPSDs[pos])
+                    'x': [
+                        ...this.displayPositions.map(() => frequencies),
+                        ...measuredPSDs.map(psd => psd ? results.measured.frequencies : [])
+                    ],
+                    'y': [
+                        ...this.displayPositions.map(pos => results.verticalMotionPSDs[pos.name]),
+                        ...measuredPSDs.map(psd => psd || [])
+                    ],
+                    'showlegend': [
+                        ...this.displayPositions.map(() => true),
+                        ...measuredPSDs.map(psd => Boolean(psd))
+                    ]
                 };
                 
                 Plotly.update('verticalMotionPSDChart', verticalUpdate).catch(err => {
@@ -592,9 +1158,24 @@ class PowerSpectralDensity {
             try {
                 console.log('Updating MSDV chart...');
                 
-                // Update each trace individually
+                // Update each trace individually, the measured RMS over the same exposure time
+                const measuredIndices = this.displayPositions
+                    .map((pos, index) => index)
+                    .filter(index => results.measured && this.displayPositions[index].name in results.measured.measured);
                 const msdvUpdate = {
-                    'y': this.displayPositions.map(pos => [results.msdvValues[pos]])
+                    'x': [
+                        ...this.displayPositions.map((pos, index) => [index]),
+                        measuredIndices
+                    ],
+                    'y': [
+                        ...this.displayPositions.map(pos => [results.msdvValues[pos.name]]),
+                        measuredIndices.map(index => MotionSicknessDose.calculateMSDV(
+                            results.measured.measured[this.displayPositions[index].name], results.exposureTime))
+                    ],
+                    'showlegend': [
+                        ...this.displayPositions.map(() => true),
+                        measuredIndices.length > 0
+                    ]
                 };
                 
                 Plotly.update('msdvChart', msdvUpdate).catch(err => {
@@ -604,6 +1185,43 @@ class PowerSpectralDensity {
                 console.error('Error updating MSDV chart:', error);
             }
         }
+
+        // Update statistics panels
+        if (results.statistics) {
+            this.renderStatistics('combinedPSDStats', results.statistics.combined);
+            this.renderStatistics('verticalMotionPSDStats', results.statistics.vertical);
+        }
+
+        // Update comfort and health table
+        if (results.comfort) {
+            this.renderComfort('comfortTable', results.comfort, results.voyage, results.exposureTime);
+        }
+
+        // Update operability matrix
+        if (results.operability) {
+            window.operabilityAnalysis.renderMatrix('operabilityMatrix', results.operability);
+        }
+
+        // Update MSI Chart
+        if (this.charts.msi && results.msiValues) {
+            try {
+                console.log('Updating MSI chart...');
+
+                const msiUpdate = {
+                    'y': [
+                        this.displayPositions.map(pos => results.msiValues.iso[pos.name]),
+                        this.displayPositions.map(pos => results.msiValues.ohanlon[pos.name]),
+                        this.displayPositions.map(pos => results.voyage.msiValues[pos.name] || 0)
+                    ]
+                };
+
+                Plotly.update('msiChart', msiUpdate).catch(err => {
+                    console.error('MSI Plotly update failed:', err);
+                });
+            } catch (error) {
+                console.error('Error updating MSI chart:', error);
+            }
+        }
     }
 }
 
@@ -615,6 +1233,14 @@ document.addEventListener('DOMContentLoaded', () => {
     window.powerSpectralDensity.initCharts();
 });
 
+// Rebuild the position traces and results for a newly selected vessel
+window.vesselProfiles.addEventListener('profileChanged', async () => {
+    // Positions differ between vessels, so the voyage dose starts over
+    window.powerSpectralDensity.dose.reset();
+    window.powerSpectralDensity.initCharts();
+    await window.powerSpectralDensity.updatePSDs();
+});
+
 // Update whenever JONSWAP spectrum changes
 window.jonswapSpectrum.addEventListener('spectrumUpdated', async () => {
     console.log('Spectrum updated event received');
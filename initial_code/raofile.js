@@ -0,0 +1,240 @@
+// RAOFile.js - Parsed .rao file with every heading column and the header metadata
+
+// Error raised for malformed or unexpected .rao content
+class RAOParseError extends Error {
+    /**
+     * @param {string} message - Summary of the problem
+     * @param {Object} [details]
+     * @param {string} [details.filename] - File the problem was found in
+     * @param {Array} [details.errors] - Individual problems as { line, field, message }
+     */
+    constructor(message, { filename = '', errors = [] } = {}) {
+        super(filename ? `${filename}: ${message}` : message);
+        this.name = 'RAOParseError';
+        this.filename = filename;
+        this.errors = errors;
+    }
+}
+
+class RAOFile {
+    constructor(fields) {
+        this.filename = fields.filename;
+        // Constants used in computations
+        this.referenceLength = fields.referenceLength;
+        this.waterDensity = fields.waterDensity;       // kg/m³
+        this.gravity = fields.gravity;                 // m/s²
+        this.waterDepth = fields.waterDepth;           // m, Infinity for deep water
+        this.incidentWaveReference = fields.incidentWaveReference; // [x, y] in m
+        this.forwardSpeed = fields.forwardSpeed;       // m/s
+        this.referencePoint = fields.referencePoint;   // [x, y, z] of body 1 in m
+        this.meanValue = fields.meanValue;
+        // Response description
+        this.raoType = fields.raoType;                 // e.g. 'MOTION'
+        this.component = fields.component;             // 1-6: surge, sway, heave, roll, pitch, yaw
+        this.unit = fields.unit;                       // e.g. 'm/m', 'deg/m', 'rad/m'
+        // Table: amplitudes[h][i] and phases[h][i] (degrees) for headings[h] and frequencies[i] (rad/s)
+        this.headings = fields.headings;
+        this.frequencies = fields.frequencies;
+        this.amplitudes = fields.amplitudes;
+        this.phases = fields.phases;
+        // Data rows that were skipped, as { line, field, message }
+        this.rowErrors = fields.rowErrors || [];
+    }
+
+    // Names of the motion components by #COMPONENT number
+    static get COMPONENT_NAMES() {
+        return { 1: 'surge', 2: 'sway', 3: 'heave', 4: 'roll', 5: 'pitch', 6: 'yaw' };
+    }
+
+    /**
+     * Parse the text of a .rao file
+     * @param {string} content - File contents
+     * @param {string} [filename] - Used in error messages
+     * @returns {RAOFile}
+     * @throws {RAOParseError} If the header is incomplete or no valid data rows are found
+     */
+    static parse(content, filename = '') {
+        const lines = content.split('\n');
+        const headerErrors = [];
+        const rowErrors = [];
+        const fields = { filename, rowErrors, waterDepth: Infinity, meanValue: 0 };
+        let headings = null;
+        let nbHeading = null;
+        let dataStartIdx = -1;
+
+        const readNumbers = text => (text.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+        const afterColon = line => line.slice(line.indexOf(':') + 1).trim();
+
+        for (let i = 0; i < lines.length && dataStartIdx === -1; i++) {
+            const line = lines[i].trim();
+            if (!line.startsWith('#')) continue;
+
+            if (line.includes('Reference length')) {
+                fields.referenceLength = readNumbers(afterColon(line))[0];
+            } else if (line.includes('Water density')) {
+                fields.waterDensity = readNumbers(afterColon(line))[0];
+            } else if (line.includes('Gravity acceleration')) {
+                fields.gravity = readNumbers(afterColon(line))[0];
+            } else if (line.includes('Waterdepth')) {
+                const depth = readNumbers(afterColon(line))[0];
+                fields.waterDepth = depth === undefined ? Infinity : depth;
+            } else if (line.includes('Ref.pt incident wave')) {
+                fields.incidentWaveReference = readNumbers(afterColon(line));
+            } else if (line.includes('Forward speed')) {
+                fields.forwardSpeed = readNumbers(afterColon(line))[0];
+            } else if (line.includes('Reference point of body')) {
+                fields.referencePoint = readNumbers(afterColon(line));
+            } else if (line.startsWith('# MEANVALUE')) {
+                fields.meanValue = readNumbers(afterColon(line))[0];
+            } else if (line.startsWith('#RAOTYPE')) {
+                fields.raoType = afterColon(line);
+            } else if (line.startsWith('#COMPONENT')) {
+                fields.component = parseInt(afterColon(line));
+            } else if (line.startsWith('#UNIT')) {
+                fields.unit = afterColon(line);
+            } else if (line.startsWith('#NBHEADING')) {
+                nbHeading = parseInt(line.replace('#NBHEADING', ''));
+            } else if (line.startsWith('#HEADING')) {
+                headings = line.replace('#HEADING', '').trim().split(/\s+/).map(Number);
+                if (headings.some(isNaN)) {
+                    headerErrors.push({ line: i + 1, field: 'HEADING', message: `Non-numeric heading in "${line}"` });
+                }
+            } else if (line.includes('w(r/s)')) {
+                dataStartIdx = i + 1;
+            }
+        }
+
+        if (!headings) {
+            headerErrors.push({ line: null, field: 'HEADING', message: 'Missing #HEADING line' });
+        } else if (nbHeading !== null && nbHeading !== headings.length) {
+            headerErrors.push({ line: null, field: 'NBHEADING', message: `#NBHEADING is ${nbHeading} but #HEADING lists ${headings.length} headings` });
+        }
+        if (dataStartIdx === -1) {
+            headerErrors.push({ line: null, field: 'w(r/s)', message: 'Missing frequency table header (w(r/s))' });
+        }
+        if (!Number.isInteger(fields.component)) {
+            headerErrors.push({ line: null, field: 'COMPONENT', message: 'Missing or invalid #COMPONENT' });
+        }
+        if (!fields.unit) {
+            headerErrors.push({ line: null, field: 'UNIT', message: 'Missing #UNIT' });
+        }
+        if (headerErrors.length > 0) {
+            throw new RAOParseError('Invalid RAO header', { filename, errors: headerErrors });
+        }
+
+        // Data rows: w, one amplitude per heading, one phase per heading
+        const rows = [];
+        for (let i = dataStartIdx; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#')) continue;
+            const vals = line.split(/\s+/).map(Number);
+            if (vals.length !== 1 + 2 * headings.length) {
+                rowErrors.push({ line: i + 1, field: 'row', message: `Expected ${1 + 2 * headings.length} columns, found ${vals.length}` });
+                continue;
+            }
+            const badColumn = vals.findIndex(v => isNaN(v));
+            if (badColumn !== -1) {
+                rowErrors.push({ line: i + 1, field: `column ${badColumn + 1}`, message: 'Non-numeric value' });
+                continue;
+            }
+            rows.push(vals);
+        }
+        if (rows.length === 0) {
+            throw new RAOParseError('No valid data rows', { filename, errors: rowErrors });
+        }
+
+        // Sort by frequency to ensure smooth plotting and interpolation
+        rows.sort((a, b) => a[0] - b[0]);
+        fields.headings = headings;
+        fields.frequencies = rows.map(row => row[0]);
+        fields.amplitudes = headings.map((_, h) => rows.map(row => row[1 + h]));
+        fields.phases = headings.map((_, h) => rows.map(row => row[1 + headings.length + h]));
+        return new RAOFile(fields);
+    }
+
+    get componentName() {
+        return RAOFile.COMPONENT_NAMES[this.component] || `component ${this.component}`;
+    }
+
+    // True for roll, pitch and yaw, whose amplitudes are angles per metre of wave amplitude
+    get isRotation() {
+        return this.component >= 4 && this.component <= 6;
+    }
+
+    /**
+     * Check the file holds the expected response and bring it to the expected unit
+     * @param {Object} expected
+     * @param {number} expected.component - Expected #COMPONENT (3 = heave, 5 = pitch)
+     * @param {string} expected.unit - Unit the caller works in ('m/m' or 'rad/m')
+     * @returns {RAOFile} This file, or a converted copy if the unit differed
+     * @throws {RAOParseError} If component or unit do not match
+     */
+    validate({ component, unit }) {
+        if (this.raoType && this.raoType.toUpperCase() !== 'MOTION') {
+            throw new RAOParseError(`Expected a MOTION RAO, found ${this.raoType}`,
+                { filename: this.filename, errors: [{ line: null, field: 'RAOTYPE', message: this.raoType }] });
+        }
+        if (component !== undefined && this.component !== component) {
+            throw new RAOParseError(`Expected ${RAOFile.COMPONENT_NAMES[component]} (component ${component}), found ${this.componentName} (component ${this.component})`,
+                { filename: this.filename, errors: [{ line: null, field: 'COMPONENT', message: String(this.component) }] });
+        }
+        if (unit === undefined || this.unit === unit) {
+            return this;
+        }
+        if (this.unit === 'deg/m' && unit === 'rad/m') {
+            return this.withAmplitudeScale(Math.PI / 180, 'rad/m');
+        }
+        if (this.unit === 'rad/m' && unit === 'deg/m') {
+            return this.withAmplitudeScale(180 / Math.PI, 'deg/m');
+        }
+        throw new RAOParseError(`Cannot convert ${this.componentName} RAO from ${this.unit} to ${unit}`,
+            { filename: this.filename, errors: [{ line: null, field: 'UNIT', message: this.unit }] });
+    }
+
+    // Copy of this file with all amplitudes scaled (phases are unchanged)
+    withAmplitudeScale(factor, unit) {
+        return new RAOFile({
+            ...this,
+            unit,
+            amplitudes: this.amplitudes.map(column => column.map(amp => amp * factor))
+        });
+    }
+
+    /**
+     * Amplitude and unwrapped phase for one heading column
+     * @param {number} heading - Heading in degrees, the nearest column is used
+     * @returns {Object} { periods, amplitudes, phases } - periods holds frequencies in rad/s
+     */
+    getHeadingData(heading) {
+        const nearestHeading = this.headings.reduce((prev, curr) =>
+            Math.abs(curr - heading) < Math.abs(prev - heading) ? curr : prev);
+        const headingIdx = this.headings.indexOf(nearestHeading);
+
+        const phases = [];
+        let prevPhase = null;
+        let phaseOffset = 0;  // Track cumulative phase unwrapping
+        for (const rawPhase of this.phases[headingIdx]) {
+            // Normalize phase to -180 to +180 range
+            const phase = ((rawPhase + 180) % 360) - 180;
+            if (prevPhase !== null) {
+                const diff = phase - prevPhase;
+                if (diff > 180) {
+                    phaseOffset -= 360;
+                } else if (diff < -180) {
+                    phaseOffset += 360;
+                }
+            }
+            prevPhase = phase;
+            phases.push(phase + phaseOffset);
+        }
+
+        return {
+            periods: [...this.frequencies],
+            amplitudes: [...this.amplitudes[headingIdx]],
+            phases
+        };
+    }
+}
+
+window.RAOParseError = RAOParseError;
+window.RAOFile = RAOFile;
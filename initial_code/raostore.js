@@ -0,0 +1,237 @@
+// RAOStore.js - Loads every RAO file once and serves synchronous (interpolated) lookups
+class RAOStore {
+    constructor() {
+        this.profile = null;      // VesselProfile the files belong to
+        this.files = {};          // files[type][speed] = RAOFile
+        this.speeds = [];         // Tabulated speeds (knots), ascending
+        this.headings = [];       // Heading columns (degrees), ascending
+        this.loadPromise = null;  // Pending or settled preload
+        this.loaded = false;      // True once every file is in memory
+        this.errors = [];         // Files that failed to load as { filename, error }
+        this.maxAttempts = 3;     // Fetch attempts per file before giving up
+        this.warned = new Set();  // Extrapolations already logged, see noteExtrapolation
+    }
+
+    /**
+     * Fetch and parse all RAO files of a vessel profile in parallel. Calling it again for
+     * the same profile returns the pending or settled promise, so several modules can
+     * await it; a different profile replaces the loaded set.
+     * @param {VesselProfile} profile - Supplies base path, file names, types and speeds
+     * @returns {Promise<boolean>} True if every file loaded
+     */
+    preload(profile) {
+        if (this.loadPromise && this.profile === profile) return this.loadPromise;
+
+        const types = Object.keys(profile.raoTypes);
+        // Loads still pending for a previous profile write into their own object
+        const files = {};
+        const errors = [];
+        this.profile = profile;
+        this.files = files;
+        this.errors = errors;
+        this.loaded = false;
+        this.warned = new Set();
+        this.speeds = [...profile.speeds];
+        this.headings = [...profile.headings];
+
+        const jobs = [];
+        types.forEach(type => {
+            files[type] = {};
+            this.speeds.forEach(speed => {
+                const filename = profile.getRAOFilename(type, speed);
+                jobs.push(this.fetchRAO(`${profile.raoBasePath}/${filename}`, filename, profile.raoTypes[type])
+                    .then(rao => { files[type][speed] = rao; })
+                    .catch(error => {
+                        console.error(`Error loading RAO file ${filename}:`, error);
+                        errors.push({ filename, error });
+                    }));
+            });
+        });
+
+        console.log(`Preloading ${jobs.length} RAO files for ${profile.name}...`);
+        this.loadPromise = Promise.all(jobs).then(() => {
+            const loaded = errors.length === 0;
+            if (this.profile === profile) {
+                this.loaded = loaded;
+            }
+            console.log(`RAO preload for ${profile.name} finished: ${jobs.length - errors.length}/${jobs.length} files`);
+            return loaded;
+        });
+        return this.loadPromise;
+    }
+
+    // Resolves once the preload has settled, with false if it was never started
+    whenReady() {
+        return this.loadPromise || Promise.resolve(false);
+    }
+
+    // Fetch one file with a few retries, then parse and validate it
+    async fetchRAO(filepath, filename, expected) {
+        let lastError = null;
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                const response = await fetch(filepath);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status} (${filepath})`);
+                }
+                const rao = RAOFile.parse(await response.text(), filename);
+                if (rao.rowErrors.length > 0) {
+                    console.warn(`Skipped ${rao.rowErrors.length} malformed rows in ${filename}:`, rao.rowErrors);
+                }
+                return rao.validate(expected);
+            } catch (error) {
+                // Malformed files will not get better on a retry
+                if (error instanceof RAOParseError) throw error;
+                lastError = error;
+                console.warn(`Attempt ${attempt} to load ${filepath} failed:`, error.message);
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Tabulated RAO file for an exact speed
+     * @returns {RAOFile|null}
+     */
+    getRAO(type, speed) {
+        return (this.files[type] && this.files[type][speed]) || null;
+    }
+
+    // Components that change sign when the waves come from the other side: sway, roll and yaw
+    static get ANTISYMMETRIC_COMPONENTS() {
+        return [2, 4, 6];
+    }
+
+    // Normalise any heading to the 0-180° range of the RAO tables (port/starboard symmetry)
+    foldHeading(heading) {
+        const h = ((heading % 360) + 360) % 360;
+        return h > 180 ? 360 - h : h;
+    }
+
+    // Find the two tabulated values bracketing x and the linear weight of the upper one.
+    // Values outside the table are clamped to the nearest end and flagged as extrapolated.
+    findBracket(sorted, x) {
+        if (x <= sorted[0]) {
+            return { lower: sorted[0], upper: sorted[0], weight: 0, extrapolated: x < sorted[0] };
+        }
+        const last = sorted[sorted.length - 1];
+        if (x >= last) {
+            return { lower: last, upper: last, weight: 0, extrapolated: x > last };
+        }
+        const i = sorted.findIndex(v => v > x);
+        const lower = sorted[i - 1];
+        const upper = sorted[i];
+        return { lower, upper, weight: (x - lower) / (upper - lower), extrapolated: false };
+    }
+
+    /**
+     * Note on a speed or heading outside the RAO table, e.g. 'speed above RAO table, 16 kn
+     * values used', null inside it. Logged once per type and note, since the response of
+     * every wave direction and every step of a sweep asks again.
+     */
+    noteExtrapolation(type, label, value, bracket, table, unit) {
+        if (!bracket.extrapolated) return null;
+        const side = value < table[0] ? 'below' : 'above';
+        const note = `${label} ${side} RAO table, ${bracket.lower}${unit} values used`;
+        const key = `${type}: ${note}`;
+        if (!this.warned.has(key)) {
+            this.warned.add(key);
+            console.warn(`${label[0].toUpperCase()}${label.slice(1)} ${value}${unit} is ${side} the ${type} RAO table (${table[0]}-${table[table.length - 1]}${unit}), using end values`);
+        }
+        return note;
+    }
+
+    /**
+     * RAO for any speed/heading pair by bilinear interpolation between the bracketing
+     * speed files and heading columns.
+     *
+     * Amplitudes are interpolated linearly. Phases are interpolated as wrapped differences
+     * from the lower-speed/lower-heading corner, so 360° unwrapping offsets that differ
+     * between files do not leak into the result.
+     *
+     * Extrapolation policy: speeds above the highest (or below the lowest) tabulated speed
+     * use the RAOs of that end speed unchanged (constant extrapolation). No trend is
+     * extrapolated since the hull's response beyond the computed range is unknown; the
+     * result carries extrapolated = true and a note for the views, as do headings beyond
+     * the heading columns.
+     *
+     * The tables hold waves from starboard (0-180°). Headings of 180-360° (waves from port)
+     * use the mirrored column, with the phase of sway, roll and yaw turned by 180° since
+     * those motions change sign between mirrored seas.
+     *
+     * @param {string} type - 'heave', 'pitch' or 'roll'
+     * @param {number} speed - Vessel speed (knots)
+     * @param {number} heading - Relative wave heading (degrees, 0 = following, 180 = head seas,
+     *                           270 = waves from port)
+     * @returns {Object|null} { periods, amplitudes, phases, speed, heading, extrapolated, extrapolation },
+     *                        extrapolation the note of noteExtrapolation or null, null if the
+     *                        files for this type are not loaded
+     */
+    getInterpolatedRAO(type, speed, heading) {
+        const available = this.speeds.filter(s => this.getRAO(type, s));
+        if (available.length === 0) return null;
+
+        const foldedHeading = this.foldHeading(heading);
+        const speedBracket = this.findBracket(available, speed);
+        const headingBracket = this.findBracket(this.headings, foldedHeading);
+
+        const notes = [
+            this.noteExtrapolation(type, 'speed', speed, speedBracket, available, ' kn'),
+            this.noteExtrapolation(type, 'heading', foldedHeading, headingBracket, this.headings, '°')
+        ].filter(Boolean);
+
+        // Corner RAOs: [lower speed, lower heading], [lower, upper], [upper, lower], [upper, upper]
+        const corners = [];
+        [speedBracket.lower, speedBracket.upper].forEach(s => {
+            const rao = this.getRAO(type, s);
+            corners.push(rao.getHeadingData(headingBracket.lower), rao.getHeadingData(headingBracket.upper));
+        });
+
+        const ws = speedBracket.weight;
+        const wh = headingBracket.weight;
+        const weights = [(1 - ws) * (1 - wh), (1 - ws) * wh, ws * (1 - wh), ws * wh];
+
+        // Put all corners on the frequency grid of the first one
+        const grid = corners[0].periods;
+        const resampled = corners.map(corner => ({
+            amplitudes: this.resampleToGrid(corner.periods, corner.amplitudes, grid),
+            phases: this.resampleToGrid(corner.periods, corner.phases, grid)
+        }));
+
+        const wrap = deg => ((deg + 180) % 360 + 360) % 360 - 180;
+        const amplitudes = grid.map((_, i) =>
+            resampled.reduce((sum, corner, k) => sum + weights[k] * corner.amplitudes[i], 0));
+        const phases = grid.map((_, i) => {
+            const reference = resampled[0].phases[i];
+            return reference + resampled.reduce((sum, corner, k) =>
+                sum + weights[k] * wrap(corner.phases[i] - reference), 0);
+        });
+
+        const fromPort = ((heading % 360) + 360) % 360 > 180;
+        const mirrored = fromPort && RAOStore.ANTISYMMETRIC_COMPONENTS.includes(this.profile.raoTypes[type].component);
+
+        return {
+            periods: [...grid],
+            amplitudes,
+            phases: mirrored ? phases.map(phase => phase + 180) : phases,
+            speed,
+            heading: foldedHeading,
+            extrapolated: speedBracket.extrapolated || headingBracket.extrapolated,
+            extrapolation: notes.length > 0 ? notes.join(', ') : null
+        };
+    }
+
+    // Linear interpolation of y(x) onto grid, returns y unchanged when the grids match
+    resampleToGrid(x, y, grid) {
+        if (x.length === grid.length && x.every((v, i) => v === grid[i])) return y;
+        return grid.map(g => {
+            const index = x.findIndex(v => v >= g);
+            if (index === 0) return y[0];
+            if (index === -1) return y[y.length - 1];
+            return y[index - 1] + (g - x[index - 1]) * (y[index] - y[index - 1]) / (x[index] - x[index - 1]);
+        });
+    }
+}
+
+// Create global instance, RAOVisualizer.init() starts the preload for the active profile
+window.raoStore = new RAOStore();
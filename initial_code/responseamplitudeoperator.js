@@ -1,6 +1,5 @@
 class RAOVisualizer {
     constructor() {
-        this.speedFolders = ['0 knots', '4 knots', '8 knots', '10 knots', '12 knots', '14 knots', '16 knots'];
         this.currentSpeed = null;
         this.currentHeading = null;
         this.charts = {
@@ -9,14 +8,50 @@ class RAOVisualizer {
             pitchAmplitude: null,
             pitchPhase: null
         };
-        this.RAO_BASE_PATH = '.';
         // Add storage for latest RAO data
         this.latestHeaveData = null;
         this.latestPitchData = null;
     }
 
+    // RAO set of the active vessel profile
+    get profile() {
+        return window.vesselProfiles.active;
+    }
+
+    get speedFolders() {
+        return this.profile.speeds.map(speed => `${speed} knots`);
+    }
+
+    get RAO_BASE_PATH() {
+        return this.profile.raoBasePath;
+    }
+
+    // Heading columns in the .rao files (0° following seas, 180° head seas)
+    get availableHeadings() {
+        return this.profile.headings;
+    }
+
+    // Component and unit each RAO type must have once loaded (pitch files are in deg/m)
+    get expectedUnits() {
+        return this.profile.raoTypes;
+    }
+
     init() {
         this.initCharts();
+        // Load all RAO files once, further calls return the same pending preload
+        window.raoStore.preload(this.profile);
+    }
+
+    // Reload the RAO set and redraw the charts for the newly active vessel
+    async onProfileChanged() {
+        const speed = this.currentSpeed;
+        const heading = this.currentHeading;
+        this.currentSpeed = null;
+        this.currentHeading = null;
+        window.raoStore.preload(this.profile);
+        if (speed !== null && heading !== null) {
+            await this.updateCharts(speed, heading);
+        }
     }
 
     initCharts() {
@@ -68,8 +103,7 @@ class RAOVisualizer {
                 yaxis: { 
                     title: 'Magnitude [rad/m]',
                     rangemode: 'tozero',
-                    range: [0, 2.0], // Further extended range
-                    dtick: 0.5
+                    autorange: true  // Converted from deg/m, so values are well below 1
                 }
             }
         );
@@ -132,104 +166,39 @@ class RAOVisualizer {
     }
 
     findNearestSpeedFolder(speed) {
-        const speedValues = this.speedFolders.map(folder => parseInt(folder));
+        const speedValues = this.getSpeedValues();
         const nearestSpeed = speedValues.reduce((prev, curr) => {
             return Math.abs(curr - speed) < Math.abs(prev - speed) ? curr : prev;
         });
         return `${nearestSpeed} knots`;
     }
 
+    // Speeds (knots) that have an RAO file
+    getSpeedValues() {
+        return [...this.profile.speeds];
+    }
+
     async loadRAOFile(type, speed, heading) {
-        // speed is a number or string, but filename should be e.g. heave_12.rao
-        const speedFolder = this.findNearestSpeedFolder(speed);
-        // Extract just the number for the filename
-        const speedInt = parseInt(speedFolder);
-        const filename = `${type}_${speedInt}.rao`;
-        const filepath = `${this.RAO_BASE_PATH}/${filename}`;
-        console.log(`Attempting to load RAO file: ${filepath}`);
-        try {
-            const response = await fetch(filepath);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const text = await response.text();
-            return this.parseRAOFile(text, heading);
-        } catch (error) {
-            console.error(`Error loading RAO file ${filepath}:`, error);
+        // Nearest tabulated speed, served from the preloaded RAO store
+        const speedInt = parseInt(this.findNearestSpeedFolder(speed));
+        await window.raoStore.whenReady();
+        const rao = window.raoStore.getRAO(type, speedInt);
+        if (!rao) {
+            console.error(`RAO file ${type}_${speedInt}.rao is not loaded`);
             return null;
         }
+        return rao.getHeadingData(heading);
     }
 
-    parseRAOFile(content, targetHeading) {
-        const lines = content.split('\n');
-        let headingLineIdx = -1;
-        let headings = [];
-        let dataStartIdx = -1;
-        // Find the #HEADING line and extract headings
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].trim().startsWith('#HEADING')) {
-                headingLineIdx = i;
-                headings = lines[i].replace('#HEADING', '').trim().split(/\s+/).map(Number);
-            }
-            // Accept any line containing 'w(r/s)' for robustness
-            if (lines[i].includes('w(r/s)')) {
-                dataStartIdx = i + 1;
-            }
-        }
-        if (headingLineIdx === -1 || dataStartIdx === -1) {
-            console.error('Could not find heading or data start in RAO file');
-            return null;
-        }
-        // Find the nearest heading column
-        const nearestHeading = headings.reduce((prev, curr) => Math.abs(curr - targetHeading) < Math.abs(prev - targetHeading) ? curr : prev);
-        const headingIdx = headings.indexOf(nearestHeading);
-        // Parse data rows
-        const periods = [];
-        const amplitudes = [];
-        const phases = [];
-        let prevPhase = null;
-        let phaseOffset = 0;  // Track cumulative phase unwrapping
-
-        for (let i = dataStartIdx; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line || line.startsWith('#')) continue;
-            const vals = line.split(/\s+/);
-            if (vals.length < 1 + 2 * headings.length) continue;
-            
-            const w = parseFloat(vals[0]); // w is already in rad/s
-            if (isNaN(w)) continue;
-            
-            // Use frequency (rad/s) directly for x-axis
-            const freq = w;
-            const amp = parseFloat(vals[1 + headingIdx]);
-            let phase = parseFloat(vals[1 + headings.length + headingIdx]);
-            
-            if (!isNaN(amp) && !isNaN(phase)) {
-                // Normalize phase to -180 to +180 range
-                phase = ((phase + 180) % 360) - 180;
-                if (prevPhase !== null) {
-                    const diff = phase - prevPhase;
-                    if (diff > 180) {
-                        phaseOffset -= 360;
-                    } else if (diff < -180) {
-                        phaseOffset += 360;
-                    }
-                }
-                phase = phase + phaseOffset;
-                prevPhase = phase - phaseOffset;
-                periods.push(freq); // Now stores frequency (rad/s)
-                amplitudes.push(amp);
-                phases.push(phase);
-            }
-        }
+    // RAO interpolated to any speed/heading pair, see RAOStore.getInterpolatedRAO
+    async loadInterpolatedRAO(type, speed, heading) {
+        await window.raoStore.whenReady();
+        return window.raoStore.getInterpolatedRAO(type, speed, heading);
+    }
 
-        // Sort by period to ensure smooth plotting
-        const indices = periods.map((_, i) => i).sort((a, b) => periods[a] - periods[b]);
-        return {
-            periods: indices.map(i => periods[i]),
-            amplitudes: indices.map(i => amplitudes[i]),
-            phases: indices.map(i => phases[i])
-        };
+    // Parse .rao text and return the column nearest to targetHeading, throws RAOParseError
+    parseRAOFile(content, targetHeading) {
+        return RAOFile.parse(content).getHeadingData(targetHeading);
     }
 
     unwrapHeading(heading) {
@@ -244,14 +213,18 @@ class RAOVisualizer {
         return heading;
     }
 
+    // Wave heading relative to the ship in the RAO convention (0° following seas, 180° head seas,
+    // 90° waves from starboard, 270° from port), kept on 0-360° so the side is not lost.
+    // vesselHeading is the course steered, waveDirection is where the waves come from (ERA5).
+    calculateRelativeHeading(vesselHeading, waveDirection) {
+        return ((180 - (waveDirection - vesselHeading)) % 360 + 360) % 360;
+    }
+
     findNearestHeading(heading) {
         // Unwrap the heading to 0-180 range
         heading = this.unwrapHeading(heading);
         
-        // Available headings in SAAII_RAOs: 0, 30, 60, 90, 120, 150, 180
-        const availableHeadings = [0, 30, 60, 90, 120, 150, 180];
-        
-        return availableHeadings.reduce((prev, curr) => {
+        return this.availableHeadings.reduce((prev, curr) => {
             return Math.abs(curr - heading) < Math.abs(prev - heading) ? curr : prev;
         });
     }
@@ -269,12 +242,11 @@ class RAOVisualizer {
         if (speed === this.currentSpeed && heading === this.currentHeading) return;
         
         this.currentSpeed = speed;
-        this.currentHeading = this.findNearestHeading(heading);
+        this.currentHeading = heading;
 
-        // Use integer speed for filename
-        const speedInt = this.findNearestSpeedFolder(speed).split(' ')[0];
-        const heaveData = await this.loadRAOFile('heave', speedInt, this.currentHeading);
-        const pitchData = await this.loadRAOFile('pitch', speedInt, this.currentHeading);
+        await window.raoStore.whenReady();
+        const heaveData = window.raoStore.getInterpolatedRAO('heave', speed, heading);
+        const pitchData = window.raoStore.getInterpolatedRAO('pitch', speed, heading);
 
         if (heaveData) {
             this.latestHeaveData = heaveData; // Store latest heave data
@@ -321,4 +293,5 @@ class RAOVisualizer {
 window.raoVisualizer = new RAOVisualizer();
 document.addEventListener('DOMContentLoaded', () => {
     window.raoVisualizer.init();
-});
\ No newline at end of file
+});
+window.vesselProfiles.addEventListener('profileChanged', () => window.raoVisualizer.onProfileChanged());
\ No newline at end of file
@@ -0,0 +1,111 @@
+// SeaState.js - Sea state as a set of wind-sea and swell partitions, each with its own direction
+class SeaState {
+    /**
+     * @param {Object} reading - Sensor1 reading
+     * @param {Date} reading.timestamp
+     * @param {number} reading.waveHeight - Combined significant wave height (m)
+     * @param {number} reading.wavePeriod - Combined wave period (s) of the kind given by periodType
+     * @param {string} [reading.periodType='Tp'] - 'Tm01', 'Tm02', 'Tm-10' or 'Tp', see PERIOD_TYPES
+     * @param {number} reading.waveDirection - Combined mean direction waves come from (deg)
+     * @param {Array} [reading.partitions] - { name, type, waveHeight, wavePeriod, waveDirection } per
+     *                                       partition, type is 'wind' or 'swell'; a partition may
+     *                                       set its own periodType, otherwise it has the reading's
+     */
+    constructor({ timestamp = null, waveHeight, wavePeriod, periodType = 'Tp', waveDirection, partitions = [] }) {
+        if (!SeaState.PERIOD_TYPES[periodType]) {
+            throw new Error(`Unknown wave period type: ${periodType}`);
+        }
+        this.timestamp = timestamp;
+        this.waveHeight = waveHeight;
+        this.wavePeriod = wavePeriod;
+        this.periodType = periodType;
+        this.waveDirection = waveDirection;
+        this.partitions = partitions.map(partition => ({ periodType, ...partition }));
+    }
+
+    // Wave period definitions by spectral moments mₙ = ∫ωⁿS(ω)dω
+    static get PERIOD_TYPES() {
+        return {
+            'Tp': 'Peak period',
+            'Tm01': 'Mean period 2π·m0/m1',
+            'Tm02': 'Zero-crossing period 2π·√(m0/m2)',
+            'Tm-10': 'Energy period 2π·m-1/m0'
+        };
+    }
+
+    // ERA5 mean periods (combined and partitions) are energy periods from the m-1 moment
+    static get ERA5_PERIOD_TYPE() {
+        return 'Tm-10';
+    }
+
+    // ERA5 partitions read by Sensor1 with their CSV export columns and NetCDF/GRIB short names, the
+    // total swell is left out as it sums the three swells
+    static get ERA5_PARTITIONS() {
+        return [
+            {
+                name: 'Wind sea',
+                type: 'wind',
+                height: 'Significant height of wind waves',
+                period: 'Mean period of wind waves',
+                direction: 'Mean direction of wind waves',
+                variables: { height: 'shww', period: 'mpww', direction: 'mdww' }
+            },
+            {
+                name: 'Swell 1',
+                type: 'swell',
+                height: 'Significant wave height of first swell partition',
+                period: 'Mean wave period of first swell partition',
+                direction: 'Mean wave direction of first swell partition',
+                variables: { height: 'swh1', period: 'mwp1', direction: 'mwd1' }
+            },
+            {
+                name: 'Swell 2',
+                type: 'swell',
+                height: 'Significant wave height of second swell partition',
+                period: 'Mean wave period of second swell partition',
+                direction: 'Mean wave direction of second swell partition',
+                variables: { height: 'swh2', period: 'mwp2', direction: 'mwd2' }
+            },
+            {
+                name: 'Swell 3',
+                type: 'swell',
+                height: 'Significant wave height of third swell partition',
+                period: 'Mean wave period of third swell partition',
+                direction: 'Mean wave direction of third swell partition',
+                variables: { height: 'swh3', period: 'mwp3', direction: 'mwd3' }
+            }
+        ];
+    }
+
+    static fromReading(reading) {
+        return reading instanceof SeaState ? reading : new SeaState(reading);
+    }
+
+    // Partitions that carry energy (ERA5 reports empty partitions as zero height or period)
+    getValidPartitions() {
+        return this.partitions.filter(partition =>
+            partition.waveHeight > 0 && partition.wavePeriod > 0 && Number.isFinite(partition.waveDirection));
+    }
+
+    /**
+     * Components to build spectra from
+     * @param {boolean} [usePartitions=true] - False to use the combined sea only
+     * @returns {Array} { name, type, waveHeight, wavePeriod, periodType, waveDirection } per component
+     */
+    getComponents(usePartitions = true) {
+        const partitions = this.getValidPartitions();
+        if (usePartitions && partitions.length > 0) {
+            return partitions;
+        }
+        return [{
+            name: 'Combined sea',
+            type: 'combined',
+            waveHeight: this.waveHeight,
+            wavePeriod: this.wavePeriod,
+            periodType: this.periodType,
+            waveDirection: this.waveDirection
+        }];
+    }
+}
+
+window.SeaState = SeaState;
@@ -0,0 +1,195 @@
+// SensorHub.js - Sea state, vessel and GPS readings aligned on one simulated time
+class SensorHub {
+    /**
+     * @param {Object} sensors - { wave: Sensor1, vessel: Sensor2, gps: Sensor3 }, each with its
+     *                           readings in time order in data; any of them may be left out
+     * @param {Object} [maxGaps] - Longest spacing (s) between two readings that is interpolated
+     *                             across, per sensor; see DEFAULT_MAX_GAPS
+     */
+    constructor({ wave = null, vessel = null, gps = null }, maxGaps = {}) {
+        this.sensors = { wave, vessel, gps };
+        this.maxGaps = { ...SensorHub.DEFAULT_MAX_GAPS, ...maxGaps };
+    }
+
+    // One and a half times the nominal interval, hourly ERA5 and 5-minute vessel and GPS
+    // records, so that a single missing record counts as a gap
+    static get DEFAULT_MAX_GAPS() {
+        return { wave: 5400, vessel: 450, gps: 450 };
+    }
+
+    static interpolate(a, b, fraction) {
+        return a + (b - a) * fraction;
+    }
+
+    // Angles (degrees) the short way round, result in [0, 360)
+    static interpolateAngle(a, b, fraction) {
+        const difference = ((b - a) % 360 + 540) % 360 - 180;
+        return ((a + difference * fraction) % 360 + 360) % 360;
+    }
+
+    // Index of the last reading at or before a time (ms), -1 if there is none
+    static findIndex(readings, time) {
+        let low = 0;
+        let high = readings.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            if (readings[mid].timestamp.getTime() <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * The readings either side of a time and how far it is between them. Across a gap
+     * longer than maxGap, and before or after the record, the nearest reading is held and
+     * the result flagged as a gap.
+     * @returns {Object|null} { before, after, fraction, gap }, null without readings
+     */
+    static locate(readings, time, maxGap) {
+        if (!readings || readings.length === 0) return null;
+
+        const hold = (reading, gap) => ({ before: reading, after: reading, fraction: 0, gap });
+        const i = SensorHub.findIndex(readings, time);
+        if (i === -1) return hold(readings[0], true);
+        if (readings[i].timestamp.getTime() === time) return hold(readings[i], false);
+        if (i === readings.length - 1) return hold(readings[i], true);
+
+        const before = readings[i];
+        const after = readings[i + 1];
+        const span = after.timestamp.getTime() - before.timestamp.getTime();
+        if (span / 1000 > maxGap) {
+            const nearer = time - before.timestamp.getTime() <= after.timestamp.getTime() - time ? before : after;
+            return hold(nearer, true);
+        }
+        return { before, after, fraction: (time - before.timestamp.getTime()) / span, gap: false };
+    }
+
+    /**
+     * One partition between two sea states. A partition that is empty on one side (no
+     * height or period) grows from or fades to zero height with the other side's period
+     * and direction, rather than passing through periods neither side has.
+     */
+    static interpolatePartition(from, to, fraction) {
+        const valid = partition => partition.waveHeight > 0 && partition.wavePeriod > 0 &&
+                                   Number.isFinite(partition.waveDirection);
+        if (!valid(from) && !valid(to)) return { ...from };
+        const a = valid(from) ? from : { ...to, waveHeight: 0 };
+        const b = valid(to) ? to : { ...from, waveHeight: 0 };
+        return {
+            ...a,
+            waveHeight: SensorHub.interpolate(a.waveHeight, b.waveHeight, fraction),
+            wavePeriod: SensorHub.interpolate(a.wavePeriod, b.wavePeriod, fraction),
+            waveDirection: SensorHub.interpolateAngle(a.waveDirection, b.waveDirection, fraction)
+        };
+    }
+
+    /**
+     * Sea state at a time, interpolated between the hourly records, partitions matched by name
+     * @param {Date} timestamp
+     * @returns {Object|null} { reading: SeaState, gap }
+     */
+    getWaveAt(timestamp) {
+        const time = timestamp.getTime();
+        const located = SensorHub.locate(this.sensors.wave?.data, time, this.maxGaps.wave);
+        if (!located) return null;
+
+        const { before, after, fraction, gap } = located;
+        const reading = new SeaState({
+            timestamp: new Date(time),
+            waveHeight: SensorHub.interpolate(before.waveHeight, after.waveHeight, fraction),
+            wavePeriod: SensorHub.interpolate(before.wavePeriod, after.wavePeriod, fraction),
+            periodType: before.periodType,
+            waveDirection: SensorHub.interpolateAngle(before.waveDirection, after.waveDirection, fraction),
+            partitions: before.partitions.map(partition => SensorHub.interpolatePartition(
+                partition,
+                after.partitions.find(other => other.name === partition.name) || partition,
+                fraction
+            ))
+        });
+        return { reading, gap };
+    }
+
+    /**
+     * Vessel speed and heading at a time
+     * @param {Date} timestamp
+     * @returns {Object|null} { reading: { timestamp, speed, heading }, gap }
+     */
+    getVesselAt(timestamp) {
+        const time = timestamp.getTime();
+        const located = SensorHub.locate(this.sensors.vessel?.data, time, this.maxGaps.vessel);
+        if (!located) return null;
+
+        const { before, after, fraction, gap } = located;
+        return {
+            reading: {
+                timestamp: new Date(time),
+                speed: SensorHub.interpolate(before.speed, after.speed, fraction),
+                heading: SensorHub.interpolateAngle(before.heading, after.heading, fraction)
+            },
+            gap
+        };
+    }
+
+    /**
+     * GPS position at a time, longitude the short way round across the antimeridian
+     * @param {Date} timestamp
+     * @returns {Object|null} { reading: { timestamp, latitude, longitude }, gap }
+     */
+    getPositionAt(timestamp) {
+        const time = timestamp.getTime();
+        const located = SensorHub.locate(this.sensors.gps?.data, time, this.maxGaps.gps);
+        if (!located) return null;
+
+        const { before, after, fraction, gap } = located;
+        const longitude = SensorHub.interpolateAngle(before.longitude, after.longitude, fraction);
+        return {
+            reading: {
+                timestamp: new Date(time),
+                latitude: SensorHub.interpolate(before.latitude, after.latitude, fraction),
+                longitude: longitude >= 180 ? longitude - 360 : longitude
+            },
+            gap
+        };
+    }
+
+    /**
+     * All sensors at one time
+     * @param {Date} timestamp - Simulated time
+     * @returns {Object} { timestamp, wave, vessel, position, gaps } with a reading, or null
+     *                   without data, per sensor and gaps listing the sensors that are held
+     *                   across a gap or have no data
+     */
+    getReadingsAt(timestamp) {
+        const results = {
+            wave: this.getWaveAt(timestamp),
+            vessel: this.getVesselAt(timestamp),
+            position: this.getPositionAt(timestamp)
+        };
+        return {
+            timestamp,
+            wave: results.wave?.reading ?? null,
+            vessel: results.vessel?.reading ?? null,
+            position: results.position?.reading ?? null,
+            gaps: Object.keys(results).filter(name => !results[name] || results[name].gap)
+        };
+    }
+
+    // Period (Dates) covered by every sensor that has data, null if they do not overlap
+    getTimeRange() {
+        const records = Object.values(this.sensors)
+            .filter(sensor => sensor && sensor.data.length > 0)
+            .map(sensor => sensor.data);
+        if (records.length === 0) return null;
+
+        const start = Math.max(...records.map(data => data[0].timestamp.getTime()));
+        const end = Math.min(...records.map(data => data[data.length - 1].timestamp.getTime()));
+        return start <= end ? { start: new Date(start), end: new Date(end) } : null;
+    }
+}
+
+window.SensorHub = SensorHub;
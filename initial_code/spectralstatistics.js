@@ -0,0 +1,69 @@
+// SpectralStatistics.js - Short-term statistics of a response or wave spectrum
+class SpectralStatistics {
+    /**
+     * Spectral moment mₙ = ∫ωⁿS(ω)dω (trapezoidal rule)
+     * @param {Array} frequencies - Angular frequencies (rad/s)
+     * @param {Array} psd - Spectral densities on frequencies
+     * @param {number} n - Order of the moment
+     */
+    static moment(frequencies, psd, n) {
+        let integral = 0;
+        for (let i = 1; i < frequencies.length; i++) {
+            const a = Math.pow(frequencies[i - 1], n) * psd[i - 1];
+            const b = Math.pow(frequencies[i], n) * psd[i];
+            integral += 0.5 * (a + b) * (frequencies[i] - frequencies[i - 1]);
+        }
+        return integral;
+    }
+
+    /**
+     * Statistics of a Gaussian process with the given spectrum. Amplitudes are single
+     * amplitudes in the unit of the spectrum's response (m, rad, m/s², ...).
+     * @param {Array} frequencies - Angular frequencies (rad/s)
+     * @param {Array} psd - Spectral densities [unit²/(rad/s)]
+     * @param {number} duration - Duration for the most probable maximum (s)
+     * @returns {Object} { m0, m2, m4, Tz, Tc, epsilon, rms, significant, mpm, duration }
+     */
+    static calculate(frequencies, psd, duration) {
+        const m0 = SpectralStatistics.moment(frequencies, psd, 0);
+        const m2 = SpectralStatistics.moment(frequencies, psd, 2);
+        const m4 = SpectralStatistics.moment(frequencies, psd, 4);
+
+        // Zero-upcrossing and crest periods, bandwidth ε (0 narrow-banded, 1 wide-banded)
+        const Tz = m2 > 0 ? 2 * Math.PI * Math.sqrt(m0 / m2) : NaN;
+        const Tc = m4 > 0 ? 2 * Math.PI * Math.sqrt(m2 / m4) : NaN;
+        const epsilon = m0 > 0 && m4 > 0 ? Math.sqrt(Math.max(0, 1 - m2 * m2 / (m0 * m4))) : NaN;
+
+        const rms = Math.sqrt(m0);
+        return {
+            m0,
+            m2,
+            m4,
+            Tz,
+            Tc,
+            epsilon,
+            rms,
+            significant: 2 * rms,  // Mean of the highest third of the amplitudes
+            mpm: SpectralStatistics.mostProbableMaximum(m0, epsilon, Tc, duration),
+            duration
+        };
+    }
+
+    /**
+     * Most probable largest amplitude among the maxima in a duration (Ochi), reduces to
+     * √(2·m0·ln N) for a narrow-banded process
+     * @param {number} m0 - Zeroth moment
+     * @param {number} epsilon - Bandwidth parameter
+     * @param {number} Tc - Mean period between maxima (s)
+     * @param {number} duration - Duration (s)
+     */
+    static mostProbableMaximum(m0, epsilon, Tc, duration) {
+        if (!(m0 > 0) || !(Tc > 0) || !(duration > 0)) return 0;
+        const maxima = duration / Tc;
+        const r = Math.sqrt(1 - epsilon * epsilon);
+        const argument = 2 * r / (1 + r) * maxima;
+        return argument > 1 ? Math.sqrt(2 * m0 * Math.log(argument)) : Math.sqrt(m0);
+    }
+}
+
+window.SpectralStatistics = SpectralStatistics;
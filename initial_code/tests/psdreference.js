@@ -0,0 +1,203 @@
+// psdreference.js - Reference check of the response model of PowerSpectralDensity, runs without a browser:
+//
+//     node tests/psdreference.js
+//
+// Loads heave_10.rao and pitch_10.rao through RAOFile.parse, combines them with a fixed JONSWAP
+// spectrum and compares pointPSDs and the ω⁴ acceleration PSDs with |H − x·P|²·S computed by hand,
+// x being the lever arm from the motion reference point of the files (65.249 m from the aft
+// perpendicular, 4.349 m forward of midships). No MATLAB outputs of the original analysis were
+// available, so REFERENCE holds values computed separately (in Python) from the raw head-seas
+// columns of the files; a change in parsing, unit conversion, lever arms or the transfer function
+// shows up even if both sides here agree. The mapping to encounter frequency is checked against
+// the energy S(ω)dω that falls on each grid point and the variance it must keep, the Wf weighting
+// against ISO 2631-1 Table 3.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SPEED = 10;        // knots, the RAO files used
+const HEADING = 180;     // head seas
+const SEA = { Hs: 3, Tp: 10, gamma: 3.3 };
+const POSITIONS = [
+    { name: 'Midships', x: 0, y: 0 },
+    { name: 'Forward', x: 30, y: 0 },
+    { name: 'Aft', x: -30, y: 0 },
+    { name: 'Forward port', x: 30, y: 10 }  // No roll RAOs, so the same as Forward
+];
+
+// { omega: { position: [displacement PSD (m²·s), acceleration PSD (m²/s³)] } }
+const REFERENCE = {
+    0.4: {
+        'Midships': [1.128234633e-02, 2.888280661e-04],
+        'Forward': [1.561522399e-02, 3.997497343e-04],
+        'Aft': [1.503203850e-02, 3.848201857e-04],
+        'Forward port': [1.561522399e-02, 3.997497343e-04]
+    },
+    0.6: {
+        'Midships': [1.050649803e+00, 1.361642145e-01],
+        'Forward': [4.702875100e+00, 6.094926130e-01],
+        'Aft': [1.718462262e+00, 2.227127091e-01],
+        'Forward port': [4.702875100e+00, 6.094926130e-01]
+    },
+    0.8: {
+        'Midships': [3.495890253e-02, 1.431916648e-02],
+        'Forward': [3.922076162e-02, 1.606482396e-02],
+        'Aft': [3.245710844e-02, 1.329443162e-02],
+        'Forward port': [3.922076162e-02, 1.606482396e-02]
+    }
+};
+const TOLERANCE = 1e-6;  // Relative, the reference values have 10 significant digits
+const LENGTH = 121.8;                // Lpp (m), midships at half of it
+const REFERENCE_X = 65.249;          // Motion reference point of the RAO files (m from the aft perpendicular)
+
+// |Wf| of ISO 2631-1 Table 3 at one-third octave band centres (Hz), the table has three digits
+const WF_TABLE = {
+    0.02: 0.0242, 0.05: 0.157, 0.08: 0.461, 0.1: 0.695, 0.125: 0.895, 0.16: 1.006, 0.2: 0.992,
+    0.25: 0.854, 0.315: 0.619, 0.4: 0.384, 0.5: 0.224, 0.63: 0.116, 0.8: 0.053, 1: 0.0235
+};
+const WF_TOLERANCE = 0.01;           // Relative, covers the rounding of the table
+const ENCOUNTER_TOLERANCE = 0.002;   // Relative, against a quadrature of 1000 points per interval
+
+// Script context with just enough of a page for the modules to load
+function loadModules(files) {
+    const listeners = { addEventListener() {} };
+    const context = {
+        console,
+        EventTarget,
+        CustomEvent,
+        document: listeners,
+        jonswapSpectrum: listeners
+    };
+    context.window = context;
+    vm.createContext(context);
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+// JONSWAP spectrum of DNV-RP-C205 (m²·s), written out here so the check does not depend on jonswap.js
+function jonswap(omega, { Hs, Tp, gamma }) {
+    const wp = 2 * Math.PI / Tp;
+    const pm = 5 / 16 * Hs * Hs * Math.pow(wp, 4) * Math.pow(omega, -5) * Math.exp(-1.25 * Math.pow(omega / wp, -4));
+    const sigma = omega <= wp ? 0.07 : 0.09;
+    return (1 - 0.287 * Math.log(gamma)) * pm *
+        Math.pow(gamma, Math.exp(-0.5 * Math.pow((omega - wp) / (sigma * wp), 2)));
+}
+
+// |H − x·P|²·S from amplitudes and phases (degrees), without the module's complex helpers,
+// the lever arm x taken from the motion reference point rather than midships
+function handPSD(heave, pitch, i, { x }, S) {
+    const arm = x + LENGTH / 2 - REFERENCE_X;
+    const h = heave.phases[i] * Math.PI / 180;
+    const p = pitch.phases[i] * Math.PI / 180;
+    const real = heave.amplitudes[i] * Math.cos(h) - arm * pitch.amplitudes[i] * Math.cos(p);
+    const imag = heave.amplitudes[i] * Math.sin(h) - arm * pitch.amplitudes[i] * Math.sin(p);
+    return (real * real + imag * imag) * S;
+}
+
+// Trapezoidal integral of y(x)
+function integrate(x, y) {
+    return x.slice(1).reduce((sum, xi, i) => sum + (xi - x[i]) * (y[i + 1] + y[i]) / 2, 0);
+}
+
+// Encounter spectrum at a grid point ωe,j as the energy S(ω)dω within a grid step of it, weighted
+// 1 − |ωe(ω) − ωe,j|/step, over the step: what a grid of that step can hold of the spectrum
+function encounterAt(omega, psd, toEncounter, centre, step) {
+    const samples = 1000;
+    let energy = 0;
+    for (let i = 1; i < omega.length; i++) {
+        const dOmega = (omega[i] - omega[i - 1]) / samples;
+        for (let k = 0; k < samples; k++) {
+            const t = (k + 0.5) / samples;
+            const weight = 1 - Math.abs(toEncounter(omega[i - 1] + t * (omega[i] - omega[i - 1])) - centre) / step;
+            if (weight > 0) energy += weight * (psd[i - 1] + t * (psd[i] - psd[i - 1])) * dOmega;
+        }
+    }
+    return energy / step;
+}
+
+function main() {
+    const window = loadModules(['vesselprofile.js', 'raofile.js', 'motionsicknessdose.js', 'powerspectraldensity.js']);
+    const raoTypes = window.vesselProfiles.active.raoTypes;
+    const [heave, pitch] = ['heave', 'pitch'].map(type => {
+        const filename = `${type}_${SPEED}.rao`;
+        const text = fs.readFileSync(path.join(ROOT, filename), 'utf8');
+        return window.RAOFile.parse(text, filename).validate(raoTypes[type]).getHeadingData(HEADING);
+    });
+
+    const psd = window.powerSpectralDensity;
+    const omega = heave.periods;
+    const spectrum = omega.map(w => jonswap(w, SEA));
+    const displacement = psd.calculateDisplacementPSDs(heave, pitch, null, POSITIONS, spectrum, HEADING);
+    const acceleration = psd.convertToAccelerationPSDs(omega, displacement);
+
+    const failures = [];
+    let checked = 0;
+    const check = (label, actual, expected, tolerance = TOLERANCE) => {
+        const error = Math.abs(actual - expected) / Math.max(Math.abs(expected), 1e-12);
+        checked++;
+        if (!(error <= tolerance)) {
+            failures.push(`${label}: ${actual.toExponential(9)}, expected ${expected.toExponential(9)}`);
+        }
+    };
+
+    // Lever arms of the profile from its reference point
+    const frame = window.vesselProfiles.active.toReferenceFrame({ x: 30, y: 10 });
+    check('Lever arm x of Forward port', frame.x, 30 + LENGTH / 2 - REFERENCE_X);
+    check('Lever arm y of Forward port', frame.y, 10);
+
+    // Whole frequency grid against the hand formula
+    POSITIONS.forEach(position => {
+        omega.forEach((w, i) => {
+            const expected = handPSD(heave, pitch, i, position, spectrum[i]);
+            check(`${position.name} displacement at ω = ${w}`, displacement.pointPSDs[position.name][i], expected);
+            check(`${position.name} acceleration at ω = ${w}`, acceleration.accPointPSDs[position.name][i],
+                expected * Math.pow(w, 4));
+        });
+    });
+
+    // Separately computed values at a few frequencies
+    Object.entries(REFERENCE).forEach(([w, values]) => {
+        const i = omega.findIndex(value => Math.abs(value - Number(w)) < 1e-9);
+        if (i === -1) {
+            failures.push(`ω = ${w} is not in the ${SPEED} knot RAO files`);
+            return;
+        }
+        Object.entries(values).forEach(([name, [disp, acc]]) => {
+            check(`${name} displacement reference at ω = ${w}`, displacement.pointPSDs[name][i], disp);
+            check(`${name} acceleration reference at ω = ${w}`, acceleration.accPointPSDs[name][i], acc);
+        });
+    });
+
+    // Encounter frequency, head seas: ωe = ω + ω²U/g, the variance kept
+    const U = SPEED * 1852 / 3600;
+    const toEncounter = w => w + w * w * U / 9.81;
+    const midships = displacement.pointPSDs['Midships'];
+    const grid = psd.getEncounterGrid(omega, SPEED);
+    const step = grid[1] - grid[0];
+    const encounter = psd.mapToEncounterFrequency(omega, midships, omega.map(toEncounter), grid);
+    check('Variance kept by the encounter mapping', integrate(grid, encounter), integrate(omega, midships));
+    Object.keys(REFERENCE).map(Number).forEach(w => {
+        const j = Math.round(toEncounter(w) / step);
+        check(`Midships encounter PSD at ωe = ${grid[j].toFixed(2)}`, encounter[j],
+            encounterAt(omega, midships, toEncounter, grid[j], step), ENCOUNTER_TOLERANCE);
+    });
+
+    // Wf weighting against the tabulated factors
+    Object.entries(WF_TABLE).forEach(([f, expected]) => {
+        const weight = Math.sqrt(psd.applyWfWeighting([2 * Math.PI * Number(f)], [1])[0]);
+        check(`Wf at ${f} Hz`, weight, expected, WF_TOLERANCE);
+    });
+
+    if (failures.length > 0) {
+        console.error(`${failures.length} of ${checked} response model checks failed:`);
+        failures.slice(0, 20).forEach(failure => console.error(`  ${failure}`));
+        process.exitCode = 1;
+    } else {
+        console.log(`All ${checked} response model checks passed (${SPEED} knots, ${HEADING}°, Hs ${SEA.Hs} m, Tp ${SEA.Tp} s)`);
+    }
+}
+
+main();
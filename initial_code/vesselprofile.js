@@ -0,0 +1,172 @@
+// VesselProfile.js - Hull data (RAO set and geometry) for each vessel the dashboard can evaluate
+class VesselProfile {
+    /**
+     * @param {Object} config
+     * @param {string} config.id - Unique key, e.g. 'saa2'
+     * @param {string} config.name - Display name
+     * @param {number} config.length - Length between perpendiculars (m)
+     * @param {number} [config.draft] - Draft at the slamming station (m), needed for slamming
+     * @param {Object} [config.slammingStation] - { x, y } of the slamming station, defaults to
+     *                                            0.1·L aft of the forward perpendicular
+     * @param {string} config.raoBasePath - Folder holding the .rao files
+     * @param {string} [config.raoFilePattern] - File name with {type} and {speed} placeholders
+     * @param {Object} config.raoTypes - { type: { component, unit } } for each RAO set to load:
+     *                                  heave and pitch, optionally roll (and sway, yaw)
+     * @param {Array} config.speeds - Speeds (knots) with an RAO file
+     * @param {Array} config.headings - Heading columns in the files (degrees, 0 = following seas)
+     * @param {Array} config.referencePoint - [x, y, z] of the motion reference point the RAOs are
+     *                                        given about, in the hull axes of the RAO files (m
+     *                                        from the aft perpendicular, y to port, z up)
+     * @param {Array} config.positions - Crew/passenger locations such as cabins, bridge or mess as
+     *                                   { name, x, y, z, display }, in m from midships on the
+     *                                   centreline (x forward, y to port, z up); y and z default to 0
+     */
+    constructor(config) {
+        // Check the shape before copying, loaded JSON may hold anything
+        const isList = value => Array.isArray(value) && value.length > 0;
+        const missing = ['id', 'name', 'length', 'raoTypes'].filter(key => !config || !config[key]);
+        if (missing.length > 0 || !isList(config.speeds) || !isList(config.headings) ||
+            !isList(config.positions) || !isList(config.referencePoint)) {
+            throw new Error(`Invalid vessel profile "${(config && (config.name || config.id)) || ''}": needs id, name, length, raoTypes, speeds, headings, referencePoint and positions`);
+        }
+
+        this.id = config.id;
+        this.name = config.name;
+        this.length = config.length;
+        this.draft = config.draft;
+        this.slammingStation = config.slammingStation || { x: 0.4 * config.length };
+        this.raoBasePath = config.raoBasePath || '.';
+        this.raoFilePattern = config.raoFilePattern || '{type}_{speed}.rao';
+        this.raoTypes = config.raoTypes;
+        this.speeds = [...config.speeds].sort((a, b) => a - b);
+        this.headings = [...config.headings].sort((a, b) => a - b);
+        this.referencePoint = [...config.referencePoint];
+        this.positions = config.positions.map(position => ({ y: 0, z: 0, display: true, ...position }));
+
+        // Results are keyed by position name
+        const names = new Set(this.positions.map(position => position.name));
+        if (names.size !== this.positions.length) {
+            throw new Error(`Invalid vessel profile "${config.name}": position names must be unique`);
+        }
+    }
+
+    // File name of one RAO file, e.g. heave_12.rao
+    getRAOFilename(type, speed) {
+        return this.raoFilePattern.replace('{type}', type).replace('{speed}', speed);
+    }
+
+    // A position (m from midships) as its offset from the motion reference point, the lever
+    // arms of the point RAOs; midships is at half the length from the aft perpendicular
+    toReferenceFrame(position) {
+        const [x, y] = this.referencePoint;
+        return { ...position, x: position.x + this.length / 2 - x, y: (position.y || 0) - y };
+    }
+
+    // All crew/passenger locations as { name, x, y, z, display }
+    getPositions() {
+        return this.positions;
+    }
+
+    // Locations shown in the charts
+    getDisplayPositions() {
+        return this.positions.filter(position => position.display);
+    }
+
+    // Keel point where slamming is evaluated, as { name, x, y, draft }
+    getSlammingStation() {
+        return { name: 'Slamming station', y: 0, ...this.slammingStation, draft: this.draft };
+    }
+
+    // True if the profile has RAOs for a motion, e.g. hasRAO('roll')
+    hasRAO(type) {
+        return Boolean(this.raoTypes[type]);
+    }
+}
+
+// Registry of known profiles and the one currently in use
+class VesselProfileManager {
+    constructor() {
+        this.profiles = new Map();
+        this.active = null;
+        this.eventTarget = new EventTarget();
+    }
+
+    addEventListener(type, listener) {
+        this.eventTarget.addEventListener(type, listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.eventTarget.removeEventListener(type, listener);
+    }
+
+    dispatchEvent(event) {
+        return this.eventTarget.dispatchEvent(event);
+    }
+
+    // Add a profile (a VesselProfile or its plain config), the first one becomes active
+    register(profile) {
+        const vesselProfile = profile instanceof VesselProfile ? profile : new VesselProfile(profile);
+        this.profiles.set(vesselProfile.id, vesselProfile);
+        if (!this.active) {
+            this.active = vesselProfile;
+        }
+        this.dispatchEvent(new CustomEvent('profilesChanged'));
+        return vesselProfile;
+    }
+
+    // Load a profile from a JSON file and register it
+    async loadProfile(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} (${url})`);
+        }
+        return this.register(await response.json());
+    }
+
+    getProfiles() {
+        return [...this.profiles.values()];
+    }
+
+    // Switch the active profile, dispatches 'profileChanged' with the new profile
+    setActive(id) {
+        const profile = this.profiles.get(id);
+        if (!profile) {
+            throw new Error(`Unknown vessel profile: ${id}`);
+        }
+        if (profile === this.active) return profile;
+
+        console.log(`Switching vessel profile to ${profile.name}`);
+        this.active = profile;
+        this.dispatchEvent(new CustomEvent('profileChanged', { detail: { profile } }));
+        return profile;
+    }
+}
+
+// Create global registry with the SA Agulhas II data shipped in this folder
+window.VesselProfile = VesselProfile;
+window.vesselProfiles = new VesselProfileManager();
+window.vesselProfiles.register({
+    id: 'saa2',
+    name: 'SA Agulhas II',
+    length: 121.8,
+    draft: 7.65,
+    raoBasePath: '.',
+    raoTypes: {
+        heave: { component: 3, unit: 'm/m' },
+        pitch: { component: 5, unit: 'rad/m' }  // Files are in deg/m, converted on load
+        // No roll RAOs were computed for this hull, so off-centre positions get heave and pitch only
+    },
+    speeds: [0, 4, 8, 10, 12, 14, 16],
+    headings: [0, 30, 60, 90, 120, 150, 180],
+    referencePoint: [65.249, 0.0, 1.278],
+    // Ship positions for MSDV calculation (meters from midships), extremes are not charted
+    positions: [
+        { name: 'L = -50m', x: -50, display: false },
+        { name: 'L = -30m', x: -30 },
+        { name: 'L = -10m', x: -10 },
+        { name: 'L = 0m', x: 0 },
+        { name: 'L = 10m', x: 10 },
+        { name: 'L = 30m', x: 30 },
+        { name: 'L = 50m', x: 50, display: false }
+    ]
+});